@@ -4,10 +4,29 @@ const CODES = {
   ROUTER                : 1,
   ROUTE                 : 2,
   ROUTE_NOT_IMPLEMENTED : 3,
+  SPEC                  : 4,
   VALIDATION_SOURCE     : 100,
   VALIDATION_REQUIRED   : 101,
   VALIDATION_TYPE       : 102,
-  VALIDATION_FORMAT     : 103
+  VALIDATION_FORMAT     : 103,
+  VALIDATION_PRODUCES   : 104,
+  VALIDATION_CONSUMES   : 105,
+  VALIDATION_RANGE      : 106,
+  VALIDATION_MIN_LENGTH : 107,
+  VALIDATION_MAX_LENGTH : 108,
+  VALIDATION_PATTERN    : 109,
+  VALIDATION_ENUM       : 110,
+  VALIDATION_MIN_ITEMS  : 111,
+  VALIDATION_MAX_ITEMS  : 112,
+  VALIDATION_UNIQUE     : 113,
+  VALIDATION_ADDITIONAL : 114,
+  VALIDATION_MULTIPLE   : 115,
+  VALIDATION_FILE_SIZE  : 116,
+  VALIDATION_FILE_TYPE  : 117,
+  VALIDATION_HOST       : 118,
+  VALIDATION_SCHEME     : 119,
+  AUTHENTICATION        : 200,
+  AUTHORIZATION         : 201
 };
 
 function BaseError(message, code) {
@@ -46,6 +65,15 @@ function RouteNotImplementedError(method, route) {
 RouteNotImplementedError.prototype = Object.create(BaseError.prototype);
 RouteNotImplementedError.prototype.constructor = RouteNotImplementedError;
 
+function SpecValidationError(errors) {
+  const problems = errors.map(err => `'${err.path}': ${err.message}`).join(' ');
+  BaseError.call(this, `Invalid spec (${errors.length} error(s)). ${problems}`, CODES.SPEC);
+  this.errors = errors;
+}
+
+SpecValidationError.prototype = Object.create(BaseError.prototype);
+SpecValidationError.prototype.constructor = SpecValidationError;
+
 
 function ParameterValidationError(parameterDefinition, parameterValue, cause) {
   BaseError.call(this, cause.message, cause.code);
@@ -57,6 +85,24 @@ function ParameterValidationError(parameterDefinition, parameterValue, cause) {
 ParameterValidationError.prototype = Object.create(BaseError.prototype);
 ParameterValidationError.prototype.constructor = ParameterValidationError;
 
+function ResponseValidationError(responseDefinition, responseValue, cause) {
+  BaseError.call(this, cause.message, cause.code);
+  this.responseDefinition = responseDefinition;
+  this.responseValue = responseValue;
+  this.cause = cause;
+}
+
+ResponseValidationError.prototype = Object.create(BaseError.prototype);
+ResponseValidationError.prototype.constructor = ResponseValidationError;
+
+function ResponseHeaderValidationError(header, headerDefinition, headerValue, cause) {
+  ResponseValidationError.call(this, headerDefinition, headerValue, cause);
+  this.header = header;
+}
+
+ResponseHeaderValidationError.prototype = Object.create(ResponseValidationError.prototype);
+ResponseHeaderValidationError.prototype.constructor = ResponseHeaderValidationError;
+
 
 
 function ValidationError(message, code, name, type, format, value) {
@@ -106,15 +152,174 @@ function FormatValidationError(name, type, format, value, message) {
 FormatValidationError.prototype = Object.create(ValidationError.prototype);
 FormatValidationError.prototype.constructor = FormatValidationError;
 
+function RangeValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_RANGE, value);
+}
+
+RangeValidationError.prototype = Object.create(ValidationError.prototype);
+RangeValidationError.prototype.constructor = RangeValidationError;
+
+function MinLengthValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_MIN_LENGTH, value);
+}
+
+MinLengthValidationError.prototype = Object.create(ValidationError.prototype);
+MinLengthValidationError.prototype.constructor = MinLengthValidationError;
+
+function MaxLengthValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_MAX_LENGTH, value);
+}
+
+MaxLengthValidationError.prototype = Object.create(ValidationError.prototype);
+MaxLengthValidationError.prototype.constructor = MaxLengthValidationError;
+
+function PatternValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_PATTERN, value);
+}
+
+PatternValidationError.prototype = Object.create(ValidationError.prototype);
+PatternValidationError.prototype.constructor = PatternValidationError;
+
+function EnumValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_ENUM, value);
+}
+
+EnumValidationError.prototype = Object.create(ValidationError.prototype);
+EnumValidationError.prototype.constructor = EnumValidationError;
+
+function MinItemsValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_MIN_ITEMS, value);
+}
+
+MinItemsValidationError.prototype = Object.create(ValidationError.prototype);
+MinItemsValidationError.prototype.constructor = MinItemsValidationError;
+
+function MaxItemsValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_MAX_ITEMS, value);
+}
+
+MaxItemsValidationError.prototype = Object.create(ValidationError.prototype);
+MaxItemsValidationError.prototype.constructor = MaxItemsValidationError;
+
+function UniqueValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_UNIQUE, value);
+}
+
+UniqueValidationError.prototype = Object.create(ValidationError.prototype);
+UniqueValidationError.prototype.constructor = UniqueValidationError;
+
+function AdditionalPropertyValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_ADDITIONAL, value);
+}
+
+AdditionalPropertyValidationError.prototype = Object.create(ValidationError.prototype);
+AdditionalPropertyValidationError.prototype.constructor = AdditionalPropertyValidationError;
+
+function FileSizeValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_FILE_SIZE, value);
+}
+
+FileSizeValidationError.prototype = Object.create(ValidationError.prototype);
+FileSizeValidationError.prototype.constructor = FileSizeValidationError;
+
+function FileTypeValidationError(name, type, format, value, message) {
+  ValidationError.call(this, `Name: '${name}'. Value: '${value}'. ${message}`, CODES.VALIDATION_FILE_TYPE, value);
+}
+
+FileTypeValidationError.prototype = Object.create(ValidationError.prototype);
+FileTypeValidationError.prototype.constructor = FileTypeValidationError;
+
+function ProducesValidationError(produces, value, message) {
+  BaseError.call(this, `Produces: '${produces.join(', ')}'. Value: '${value}'. ${message}`, CODES.VALIDATION_PRODUCES);
+  this.produces = produces;
+  this.value = value;
+}
+
+ProducesValidationError.prototype = Object.create(BaseError.prototype);
+ProducesValidationError.prototype.constructor = ProducesValidationError;
+
+function ConsumesValidationError(consumes, value, message) {
+  BaseError.call(this, `Consumes: '${consumes.join(', ')}'. Value: '${value}'. ${message}`, CODES.VALIDATION_CONSUMES);
+  this.consumes = consumes;
+  this.value = value;
+}
+
+ConsumesValidationError.prototype = Object.create(BaseError.prototype);
+ConsumesValidationError.prototype.constructor = ConsumesValidationError;
+
+function HostValidationError(host, value, message) {
+  BaseError.call(this, `Host: '${host}'. Value: '${value}'. ${message}`, CODES.VALIDATION_HOST);
+  this.host = host;
+  this.value = value;
+}
+
+HostValidationError.prototype = Object.create(BaseError.prototype);
+HostValidationError.prototype.constructor = HostValidationError;
+
+function SchemeValidationError(schemes, value, message) {
+  BaseError.call(this, `Schemes: '${schemes.join(', ')}'. Value: '${value}'. ${message}`, CODES.VALIDATION_SCHEME);
+  this.schemes = schemes;
+  this.value = value;
+}
+
+SchemeValidationError.prototype = Object.create(BaseError.prototype);
+SchemeValidationError.prototype.constructor = SchemeValidationError;
+
+function AuthenticationError(schemes, message) {
+  BaseError.call(this, `Security: '${schemes.join(', ')}'. ${message}`, CODES.AUTHENTICATION);
+  this.schemes = schemes;
+}
+
+AuthenticationError.prototype = Object.create(BaseError.prototype);
+AuthenticationError.prototype.constructor = AuthenticationError;
+
+function AuthorizationError(schemes, scopes, message) {
+  BaseError.call(this, `Security: '${schemes.join(', ')}'. Scopes: '${scopes.join(', ')}'. ${message}`, CODES.AUTHORIZATION);
+  this.schemes = schemes;
+  this.scopes = scopes;
+}
+
+AuthorizationError.prototype = Object.create(BaseError.prototype);
+AuthorizationError.prototype.constructor = AuthorizationError;
+
+function MultipleValidationError(errors) {
+  BaseError.call(this, `${errors.length} validation error(s).`, CODES.VALIDATION_MULTIPLE);
+  this.errors = errors;
+}
+
+MultipleValidationError.prototype = Object.create(BaseError.prototype);
+MultipleValidationError.prototype.constructor = MultipleValidationError;
+
 
 module.exports.CODES = CODES;
 module.exports.RouterError = RouterError;
 module.exports.RouteError = RouteError;
 module.exports.RouteNotImplementedError = RouteNotImplementedError;
+module.exports.SpecValidationError = SpecValidationError;
 module.exports.ParameterValidationError = ParameterValidationError;
+module.exports.ResponseValidationError = ResponseValidationError;
+module.exports.ResponseHeaderValidationError = ResponseHeaderValidationError;
 module.exports.SourceValidationError = SourceValidationError;
 module.exports.ValidationError = ValidationError;
 module.exports.RequiredValidationError = RequiredValidationError;
 module.exports.NullableValidationError = NullableValidationError;
 module.exports.TypeValidationError = TypeValidationError;
-module.exports.FormatValidationError = FormatValidationError;
\ No newline at end of file
+module.exports.FormatValidationError = FormatValidationError;
+module.exports.RangeValidationError = RangeValidationError;
+module.exports.MinLengthValidationError = MinLengthValidationError;
+module.exports.MaxLengthValidationError = MaxLengthValidationError;
+module.exports.PatternValidationError = PatternValidationError;
+module.exports.EnumValidationError = EnumValidationError;
+module.exports.MinItemsValidationError = MinItemsValidationError;
+module.exports.MaxItemsValidationError = MaxItemsValidationError;
+module.exports.UniqueValidationError = UniqueValidationError;
+module.exports.AdditionalPropertyValidationError = AdditionalPropertyValidationError;
+module.exports.FileSizeValidationError = FileSizeValidationError;
+module.exports.FileTypeValidationError = FileTypeValidationError;
+module.exports.ProducesValidationError = ProducesValidationError;
+module.exports.ConsumesValidationError = ConsumesValidationError;
+module.exports.HostValidationError = HostValidationError;
+module.exports.SchemeValidationError = SchemeValidationError;
+module.exports.MultipleValidationError = MultipleValidationError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.AuthorizationError = AuthorizationError;
\ No newline at end of file
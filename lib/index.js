@@ -2,53 +2,249 @@
 
 const debug = require('debug')('koa-spec');
 const _ = require('lodash');
+const fs = require('fs');
 const path = require('path');
 const HTTPStatus = require('http-status');
 const utils = require('./utils');
-const parseBoolean = utils.parseBoolean;
 const errors = require('./errors');
+const createValidator = require('./validator');
+const formats = require('./formats');
+const openapi = require('./openapi');
+const security = require('./security');
+const mock = require('./mock');
+const watch = require('./watcher');
 
 const RouterError = errors.RouterError;
 
 const RouteError = errors.RouteError;
 const RouteNotImplementedError = errors.RouteNotImplementedError;
+const SpecValidationError = errors.SpecValidationError;
 
 const ParameterValidationError = errors.ParameterValidationError;
+const MultipleValidationError = errors.MultipleValidationError;
+const ResponseValidationError = errors.ResponseValidationError;
+const ResponseHeaderValidationError = errors.ResponseHeaderValidationError;
 
 const SourceValidationError = errors.SourceValidationError;
+const ProducesValidationError = errors.ProducesValidationError;
+const ConsumesValidationError = errors.ConsumesValidationError;
+const HostValidationError = errors.HostValidationError;
+const SchemeValidationError = errors.SchemeValidationError;
+
+const AuthenticationError = errors.AuthenticationError;
+const AuthorizationError = errors.AuthorizationError;
 const RequiredValidationError = errors.RequiredValidationError;
-const NullableValidationError = errors.NullableValidationError;
-const TypeValidationError = errors.TypeValidationError;
-const FormatValidationError = errors.FormatValidationError;
+const FileSizeValidationError = errors.FileSizeValidationError;
 
+const VALIDATE_SPEC_DEFAULT = true;
+const WATCH_DEFAULT = false;
 const CONTROLLER_DIRECTORY_DEFAULT = './controllers';
 const STRICT_MODE_DEFAULT = true;
+const APPLY_DEFAULTS_DEFAULT = true;
+const REJECT_UNKNOWN_PROPERTIES_DEFAULT = false;
+const COLLECT_ERRORS_DEFAULT = false;
+const FORMATS_DEFAULT = {};
+const VALIDATE_HOST_DEFAULT = false;
+const SECURITY_HANDLERS_DEFAULT = {};
+const MOCK_DEFAULT = false;
+const CONTROLLER_RESOLVER_DEFAULT = 'x-controller';
+const KOA_VERSION_1 = 1;
+const KOA_VERSION_2 = 2;
+const KOA_VERSIONS = [KOA_VERSION_1, KOA_VERSION_2];
+const KOA_VERSION_DEFAULT = KOA_VERSION_1;
+
+/* Resolve controller (and method) names, the vendor extensions 'x-controller'/'x-controller-method' take precedence: */
+const CONTROLLER_RESOLVERS = {
+  'x-controller' : function () {
+    return {};
+  },
+  /* i.e. 'operationId: Book.list' */
+  operationId    : function (methodInfo) {
+    const operationId = methodInfo.operationId || '';
+    const separatorIndex = operationId.lastIndexOf('.');
+    return {
+      controller : (separatorIndex > 0) ? operationId.slice(0, separatorIndex) : undefined,
+      method     : operationId.slice(separatorIndex + 1) || undefined
+    };
+  },
+  /* i.e. 'tags: [Book]' and 'operationId: list' */
+  tags           : function (methodInfo) {
+    return {
+      controller : _.head(methodInfo.tags),
+      method     : methodInfo.operationId
+    };
+  }
+};
 
-const INTEGER_INT32_MAX_VALUE = 2147483647;
-const INTEGER_INT32_MIN_VALUE = -2147483648;
-const INTEGER_INT64_MAX_VALUE = Number.MAX_SAFE_INTEGER;
-const INTEGER_INT64_MIN_VALUE = Number.MIN_SAFE_INTEGER;
-const NUMBER_FLOAT_MIN_VALUE = -3.4028235E38;
-const NUMBER_FLOAT_MAX_VALUE = 3.4028235E38;
+const RESPONSE_VALIDATION_NONE = 'none';
+const RESPONSE_VALIDATION_THROW = 'throw';
+const RESPONSE_VALIDATION_LOG = 'log';
+const RESPONSE_VALIDATION_HEADER = 'header';
+const RESPONSE_VALIDATIONS = [RESPONSE_VALIDATION_NONE, RESPONSE_VALIDATION_THROW, RESPONSE_VALIDATION_LOG, RESPONSE_VALIDATION_HEADER];
+const RESPONSE_VALIDATION_DEFAULT = RESPONSE_VALIDATION_NONE;
+const RESPONSE_VALIDATION_HEADER_NAME = 'Warning';
 
 module.exports = function (uri, options) {
   const refOptions = (options && options.refOptions) ? options.refOptions : undefined;
-  const spec = utils.readSpec(uri, refOptions);
+  const refLoader = (options && options.refLoader) ? options.refLoader : undefined;
+  const spec = utils.readSpec(uri, refOptions, refLoader);
+
+  return isWatched(options) ? createWatchedSpec(uri, spec, options) : createSpec(spec, options);
+};
+
+module.exports.load = function (uri, options) {
+  const refOptions = (options && options.refOptions) ? options.refOptions : undefined;
+  const refLoader = (options && options.refLoader) ? options.refLoader : undefined;
+  return utils.loadSpec(uri, refOptions, refLoader)
+    .then(spec => isWatched(options) ? createWatchedSpec(uri, spec, options) : createSpec(spec, options));
+};
+
+module.exports.lint = function (uri, options) {
+  const refOptions = (options && options.refOptions) ? options.refOptions : undefined;
+  const refLoader = (options && options.refLoader) ? options.refLoader : undefined;
+  return utils.loadSpec(uri, refOptions, refLoader)
+    .then(spec => utils.validateSpec(spec.resolved));
+};
+
+module.exports.clearRefCache = function () {
+  utils.clearRefCache();
+};
+
+module.exports.registerFormat = function (type, name, fn) {
+  formats.register(type, name, fn);
+};
+
+function createSpec(spec, options) {
+  const validateSpec = (options && !_.isUndefined(options.validateSpec)) ? options.validateSpec : VALIDATE_SPEC_DEFAULT;
+  if (validateSpec) {
+    const errs = utils.validateSpec(spec.resolved);
+    if (errs.length > 0) {
+      throw new SpecValidationError(errs);
+    }
+  }
+
+  /* OpenAPI 3.0 documents are routed (and validated) like their Swagger 2.0 equivalents: */
+  const routerSpec = openapi.isOpenAPI(spec.resolved) ? _.assign({}, spec, {resolved : openapi.normalize(spec.resolved)}) : spec;
 
   const routerOptions = (options && options.routerOptions) ? options.routerOptions : undefined;
-  const router = createRouter(spec, routerOptions);
+  const router = createRouter(routerSpec, routerOptions);
 
   return {
     spec   : spec.resolved,
     refs   : spec.refs,
     router : router
   }
-};
+}
+
+function getKoaVersion(options) {
+  if (options && !_.isUndefined(options.koaVersion)) {
+    return options.koaVersion;
+  }
+  /* Koa 2 style middleware works with any later version as well: */
+  const detectedKoaVersion = utils.getKoaVersion();
+  return detectedKoaVersion ? Math.min(detectedKoaVersion, KOA_VERSION_2) : KOA_VERSION_DEFAULT;
+}
+
+function isWatched(options) {
+  return (options && !_.isUndefined(options.watch)) ? options.watch : WATCH_DEFAULT;
+}
+
+/*
+ * Re-resolves the spec and rebuilds the router whenever the spec (or a file it references) or a controller changes.
+ * The middlewares returned by the router delegate to the latest router, so they don't have to be re-registered.
+ */
+function createWatchedSpec(uri, spec, options) {
+  const refOptions = (options && options.refOptions) ? options.refOptions : undefined;
+  const refLoader = (options && options.refLoader) ? options.refLoader : undefined;
+  const onReload = (options && options.onReload) ? options.onReload : undefined;
+  const controllerDirectory = _.get(options, ['routerOptions', 'controllerDirectory'], CONTROLLER_DIRECTORY_DEFAULT);
+
+  let current = createSpec(spec, options);
+  let currentRouter;
+  let closeWatcher = _.noop;
+
+  function reportReload(err) {
+    if (onReload) {
+      return onReload(err);
+    }
+    if (err) {
+      console.error(`Reloading spec '${uri}' failed, keeping the previous one: ${err.message}`);
+    }
+  }
+
+  function clearControllers() {
+    const directory = path.resolve(controllerDirectory);
+    _.forOwn(require.cache, (module, id) => {
+      if (_.startsWith(id, `${directory}${path.sep}`)) {
+        delete require.cache[id];
+      }
+    });
+  }
+
+  function startWatcher(resolvedSpec) {
+    closeWatcher();
+    const files = utils.getReferencedFiles(uri, resolvedSpec.refs);
+    closeWatcher = watch(_.concat(files, path.resolve(controllerDirectory)), reload, err => debug(err));
+  }
+
+  function reload() {
+    clearControllers();
+    utils.clearRefCache();
+    return utils.loadSpec(uri, refOptions, refLoader)
+      .then(reloadedSpec => {
+        const reloaded = createSpec(reloadedSpec, options);
+        /* Build the router before swapping, so a broken spec or controller keeps the previous one: */
+        const reloadedRouter = currentRouter ? reloaded.router() : undefined;
+
+        current = reloaded;
+        currentRouter = reloadedRouter;
+        watchedSpec.spec = reloaded.spec;
+        watchedSpec.refs = reloaded.refs;
+        startWatcher(reloadedSpec);
+        reportReload();
+      })
+      .catch(err => {
+        debug(err);
+        /* Files might have been replaced (i.e. by an editor), keep watching them: */
+        startWatcher({refs : watchedSpec.refs});
+        reportReload(err);
+      });
+  }
+
+  function delegate(getMiddleware) {
+    if (getKoaVersion(options && options.routerOptions) === KOA_VERSION_2) {
+      return (ctx, next) => getMiddleware(currentRouter)(ctx, next);
+    }
+    return function* (next) {
+      yield* getMiddleware(currentRouter).call(this, next);
+    };
+  }
+
+  const watchedSpec = {
+    spec   : current.spec,
+    refs   : current.refs,
+    router : function () {
+      currentRouter = current.router();
+      return {
+        routes         : () => delegate(router => router.routes()),
+        middleware     : () => delegate(router => router.routes()),
+        allowedMethods : allowedMethodsOptions => delegate(router => router.allowedMethods(allowedMethodsOptions))
+      };
+    },
+    reload : reload,
+    close  : function () {
+      closeWatcher();
+    }
+  };
+
+  startWatcher(spec);
+  return watchedSpec;
+}
 
 function createRouter(spec, options) {
-  function getControllerMethod(controllerDirectory, controllerName, controllerMethodName, strictMode, method, route) {
+  function getControllerMethod(controllerDirectory, controllerName, controllerMethodName, strictMode, method, route, fallbackMethod) {
     if (!controllerName) {
-      throw new RouteError(method, route, `Controller name not specified. Specify via 'x-controller'.`);
+      throw new RouteError(method, route, `Controller name not specified. Specify via 'x-controller' or the 'controllerResolver' option.`);
     }
 
     const controllerPath = path.join(controllerDirectory, controllerName);
@@ -58,7 +254,7 @@ function createRouter(spec, options) {
       }
     } else {
       if (!controllerMethodName) {
-        throw new RouteError(method, route, `Controller '${controllerName}' method name not specified. Specify via 'x-controller-method'.`);
+        throw new RouteError(method, route, `Controller '${controllerName}' method name not specified. Specify via 'x-controller-method' or the 'controllerResolver' option.`);
       }
       const controller = require(controllerPath);
       const controllerMethod = controller[controllerMethodName];
@@ -71,7 +267,7 @@ function createRouter(spec, options) {
     }
 
     /* Fallback */
-    return createNotImplementedControllerMethod(method, route);
+    return fallbackMethod;
   }
 
   function createNotImplementedControllerMethod(method, route) {
@@ -89,6 +285,21 @@ function createRouter(spec, options) {
     }
   }
 
+  function createMockControllerMethod(responses) {
+    return function* (next) {
+      /* Respond with what the spec promises for the (negotiated) media type: */
+      const response = mock.createResponse(spec, responses, this.state.produces);
+      this.status = response.status;
+      this.set(response.headers);
+      if (response.type) {
+        this.type = response.type;
+      }
+      if (!_.isUndefined(response.body)) {
+        this.body = response.body;
+      }
+    }
+  }
+
   function checkMethodInfo(method, route, methodInfo) {
     // Check if any of the parameters of this method uses a body parameter:
     const bodyParameter = _.find(methodInfo.parameters, {in : 'body'});
@@ -98,8 +309,20 @@ function createRouter(spec, options) {
         throw new RouteError(method, route, `Detected 'body' parameter: '${bodyParameter.name}' but module 'koa-bodyparser' isn't available. Install via 'npm install --save koa-bodyparser'.`)
       }
     }
-    // Check if any of the parameters of this method uses a formData parameter:
-    const formDataParameter = _.find(methodInfo.parameters, {in : 'formData'});
+    // Check if any of the parameters of this method uses a file parameter:
+    const fileParameter = _.find(methodInfo.parameters, {type : 'file'});
+    if (fileParameter) {
+      if (fileParameter.in !== 'formData') {
+        throw new RouteError(method, route, `Detected 'file' parameter: '${fileParameter.name}' in '${fileParameter.in}'. Files can only be uploaded as 'formData'.`);
+      }
+      // Make sure formidable 2 is available (formidable 1 doesn't export its 'errors'):
+      const formidable = utils.requireOptional('formidable');
+      if (!formidable || !formidable.errors) {
+        throw new RouteError(method, route, `Detected 'file' parameter: '${fileParameter.name}' but module 'formidable@2' isn't available. Install via 'npm install --save formidable@2'.`)
+      }
+    }
+    // Check if any of the parameters of this method uses a formData parameter (parsed along with files otherwise):
+    const formDataParameter = !fileParameter && _.find(methodInfo.parameters, {in : 'formData'});
     if (formDataParameter) {
       // Make sure the koa-bodyparser is available:
       if (!require('koa-bodyparser')) {
@@ -108,19 +331,82 @@ function createRouter(spec, options) {
     }
   }
 
+  function checkSecurity(method, route, requirements, securityHandlers, enforceSecurity) {
+    _.forEach(requirements, requirement => {
+      _.forOwn(requirement, (scopes, name) => {
+        const definition = _.get(spec.resolved.securityDefinitions, name);
+        if (!definition) {
+          throw new RouteError(method, route, `Security definition '${name}' does not exist.`);
+        }
+        if (!enforceSecurity) {
+          return;
+        }
+        if (!security.isSupported(definition)) {
+          throw new RouteError(method, route, `Security definition '${name}' of type '${definition.type}' is not supported.`);
+        }
+        if (!securityHandlers[name]) {
+          throw new RouteError(method, route, `Security handler for '${name}' not specified. Specify via 'securityHandlers'.`);
+        }
+      });
+    });
+  }
+
   return function () {
-    const koarouter = require('koa-router');
+    const koarouter = utils.requireOptional('koa-router');
     if (!koarouter) {
       throw new RouterError(`Module 'koa-router' isn't available. Install via 'npm install --save koa-router'.`)
     }
-    const router = koarouter();
 
     const controllerDirectory = (options && !_.isUndefined(options.controllerDirectory)) ? options.controllerDirectory : CONTROLLER_DIRECTORY_DEFAULT;
     const strictMode = (options && !_.isUndefined(options.strictMode)) ? options.strictMode : STRICT_MODE_DEFAULT;
+    const responseValidation = (options && !_.isUndefined(options.responseValidation)) ? options.responseValidation : RESPONSE_VALIDATION_DEFAULT;
+    const applyDefaults = (options && !_.isUndefined(options.applyDefaults)) ? options.applyDefaults : APPLY_DEFAULTS_DEFAULT;
+    const rejectUnknownProperties = (options && !_.isUndefined(options.rejectUnknownProperties)) ? options.rejectUnknownProperties : REJECT_UNKNOWN_PROPERTIES_DEFAULT;
+    const collectErrors = (options && !_.isUndefined(options.collectErrors)) ? options.collectErrors : COLLECT_ERRORS_DEFAULT;
+    const customFormats = (options && !_.isUndefined(options.formats)) ? options.formats : FORMATS_DEFAULT;
+    /* Defaults to the spec's 'basePath', 'false' disables prefixing: */
+    const basePath = (options && !_.isUndefined(options.basePath)) ? options.basePath : spec.resolved.basePath;
+    const validateHost = (options && !_.isUndefined(options.validateHost)) ? options.validateHost : VALIDATE_HOST_DEFAULT;
+    const securityHandlers = (options && !_.isUndefined(options.securityHandlers)) ? options.securityHandlers : SECURITY_HANDLERS_DEFAULT;
+    /* Specs might declare security for documentation only, enforce it once handlers are given: */
+    const enforceSecurity = (options && !_.isUndefined(options.enforceSecurity)) ? options.enforceSecurity : Boolean(options && !_.isUndefined(options.securityHandlers));
+    const mockMode = (options && !_.isUndefined(options.mock)) ? options.mock : MOCK_DEFAULT;
+    const koaVersion = getKoaVersion(options);
+    const controllerResolver = (options && !_.isUndefined(options.controllerResolver)) ? options.controllerResolver : CONTROLLER_RESOLVER_DEFAULT;
 
     if (!utils.isDirectory(controllerDirectory)) {
       throw new RouterError(`Controller directory '${controllerDirectory}' does not exist.`);
     }
+    if (!_.isFunction(controllerResolver) && !_.has(CONTROLLER_RESOLVERS, controllerResolver)) {
+      throw new RouterError(`Unknown controller resolver '${controllerResolver}'. Use one of: ${_.keys(CONTROLLER_RESOLVERS).join(', ')} or a function.`);
+    }
+    const resolveController = _.isFunction(controllerResolver) ? controllerResolver : CONTROLLER_RESOLVERS[controllerResolver];
+    if (!_.includes(KOA_VERSIONS, koaVersion)) {
+      throw new RouterError(`Unknown koa version '${koaVersion}'. Use one of: ${KOA_VERSIONS.join(', ')}.`);
+    }
+    if (!_.includes(RESPONSE_VALIDATIONS, responseValidation)) {
+      throw new RouterError(`Unknown response validation '${responseValidation}'. Use one of: ${RESPONSE_VALIDATIONS.join(', ')}.`);
+    }
+    _.forOwn(customFormats, function (typeFormats, type) {
+      _.forOwn(typeFormats, function (fn, name) {
+        if (typeof fn !== 'function') {
+          throw new RouterError(`Format '${type}(${name})' must be a function.`);
+        }
+      });
+    });
+    _.forOwn(securityHandlers, function (fn, name) {
+      /* '_.isFunction()' doesn't recognize async functions: */
+      if (typeof fn !== 'function') {
+        throw new RouterError(`Security handler '${name}' must be a function.`);
+      }
+    });
+    if (basePath && !_.isString(basePath)) {
+      throw new RouterError(`Base path '${basePath}' must be a string.`);
+    }
+
+    /* Routes are registered relative to the base path ('/' and '' don't prefix anything): */
+    const prefix = basePath ? basePath.replace(/\/+$/, '') : '';
+    const router = prefix ? koarouter({prefix : prefix}) : koarouter();
 
     const routes = spec.resolved.paths;
     _.forOwn(routes, function (methods, route) {
@@ -132,16 +418,58 @@ function createRouter(spec, options) {
       });
 
       _.forOwn(methods, function (methodInfo, method) {
-        const controllerName = methodInfo['x-controller'];
-        const controllerMethodName = methodInfo['x-controller-method'];
+        const resolvedController = resolveController(methodInfo, method, route) || {};
+        const controllerName = methodInfo['x-controller'] || resolvedController.controller;
+        const controllerMethodName = methodInfo['x-controller-method'] || resolvedController.method;
 
-        const controllerMethod = getControllerMethod(controllerDirectory, controllerName, controllerMethodName, strictMode, method, route);
+        /* Routes can enable ('x-mock: true' mocks even implemented routes) or disable mocking individually: */
+        const mockRoute = _.isUndefined(methodInfo['x-mock']) ? mockMode : methodInfo['x-mock'];
+        const fallbackMethod = mockRoute ? createMockControllerMethod(methodInfo.responses) : createNotImplementedControllerMethod(method, route);
+        const controllerMethod = (methodInfo['x-mock'] === true) ? fallbackMethod : getControllerMethod(controllerDirectory, controllerName, controllerMethodName, strictMode, method, route, fallbackMethod);
 
         if (router[method]) {
           checkMethodInfo(method, route, methodInfo);
 
-          const requestValidator = createRequestValidator(spec, method, route, methodInfo.parameters);
-          router[method](route, requestValidator, controllerMethod);
+          /* Operation level 'produces'/'consumes' override the global ones: */
+          const produces = methodInfo.produces || spec.resolved.produces;
+          const consumes = methodInfo.consumes || spec.resolved.consumes;
+          /* Operation level 'security' overrides the global one ('[]' disables it): */
+          const requirements = _.isUndefined(methodInfo.security) ? spec.resolved.security : methodInfo.security;
+          checkSecurity(method, route, requirements, securityHandlers, enforceSecurity);
+
+          const middlewares = [];
+          if (validateHost) {
+            middlewares.push(createHostValidator(method, route, spec.resolved.host, methodInfo.schemes || spec.resolved.schemes));
+          }
+          if (enforceSecurity && !_.isEmpty(requirements)) {
+            middlewares.push(createSecurityValidator(method, route, requirements, spec.resolved.securityDefinitions, securityHandlers));
+          }
+          if (!_.isEmpty(produces)) {
+            middlewares.push(createProducesNegotiator(method, route, produces));
+          }
+          if (!_.isEmpty(consumes)) {
+            middlewares.push(createConsumesValidator(method, route, consumes));
+          }
+          if (_.some(methodInfo.parameters, {type : 'file'})) {
+            middlewares.push(createMultipartParser(method, route, _.filter(methodInfo.parameters, {type : 'file'})));
+          }
+          middlewares.push(createRequestValidator(spec, method, route, methodInfo.parameters, {
+            applyDefaults           : applyDefaults,
+            rejectUnknownProperties : rejectUnknownProperties,
+            collectErrors           : collectErrors,
+            formats                 : customFormats
+          }));
+          /* Only validate the controllers' responses, not the ones of the middlewares above: */
+          if (responseValidation !== RESPONSE_VALIDATION_NONE) {
+            middlewares.push(createResponseValidator(spec, method, route, methodInfo.responses, produces, responseValidation, {
+              formats : customFormats
+            }));
+          }
+          middlewares.push(controllerMethod);
+
+          /* The middlewares (and Koa 1 style controllers) are generator functions, Koa 2 expects '(ctx, next)' functions: */
+          const routeMiddlewares = (koaVersion === KOA_VERSION_2) ? _.map(middlewares, toKoa2Middleware) : middlewares;
+          router[method].apply(router, [route].concat(routeMiddlewares));
         } else {
           throw new RouteError(method, route, `Method '${method}' does not exist.`);
         }
@@ -152,309 +480,635 @@ function createRouter(spec, options) {
   }
 }
 
-function createRequestValidator(spec, method, route, parameterDefinitions) {
-  function validateBoolean(name, type, format, value) {
-    const actualValue = parseBoolean(value);
+function toKoa2Middleware(middleware) {
+  return utils.isGeneratorFunction(middleware) ? utils.toAsyncMiddleware(middleware) : middleware;
+}
 
-    if (!_.isBoolean(actualValue)) {
-      throw new TypeValidationError(name, type, format, value, `Not a 'boolean'.`);
-    }
+function createRequestValidator(spec, method, route, parameterDefinitions, validatorOptions) {
+  const validator = createValidator(spec, validatorOptions);
+  const validateValue = validator.validateValue;
+  const validateDefault = validator.validateDefault;
+  /* Body values are parsed (i.e. JSON), their types are not converted: */
+  const validateSchema = createValidator(spec, _.assign({}, validatorOptions, {strictTypes : true})).validateSchema;
 
-    return actualValue;
-  }
-
-  function validateInteger(name, type, format, value) {
-    const actualValue = parseInt(value, 10);
+  function validateParameter(parameterDefinition, parameterValue) {
+    try {
+      if (parameterDefinition.required) {
+        if (_.isUndefined(parameterValue)) {
+          throw new RequiredValidationError(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, undefined, '');
+        }
+      } else {
+        if (_.isUndefined(parameterValue)) {
+          return validateDefault(parameterDefinition.name, (parameterDefinition.in === 'body') ? parameterDefinition.schema : parameterDefinition);
+        }
+      }
 
-    if (isNaN(actualValue)) {
-      throw new TypeValidationError(name, type, format, value, `Not an 'integer'.`);
-    } else if (parseFloat(value) % 1 !== 0) { // Checks if this actually was a float, not an integer!
-      throw new TypeValidationError(name, type, format, value, `Not an 'integer'.`);
+      if (parameterDefinition.in === 'body') {
+        return validateSchema(parameterDefinition.name, parameterDefinition.schema, parameterValue);
+      } else {
+        return validateValue(parameterDefinition.name, parameterDefinition, parameterValue);
+      }
+    } catch (err) {
+      throw new ParameterValidationError(parameterDefinition, parameterValue, err);
     }
+  }
 
-    switch (format) {
-      case 'int32':
-        return validateIntegerInt32(name, type, format, value, actualValue);
-      case 'int64':
-        return validateIntegerInt64(name, type, format, value, actualValue);
+  function getParameterValue(ctx, parameterDefinition) {
+    switch (parameterDefinition.in) {
+      case 'body':
+        return getRequestParameterSource(ctx, parameterDefinition);
+      case 'header':
+        /* The raw headers stay untouched (strings), the source only holds the validated ones: */
+        return parseParameterValue(parameterDefinition, ctx.headers[getParameterKey(parameterDefinition)]);
+      case 'cookie':
+        /* Cookies are read one by one, the source only holds the validated ones: */
+        return parseParameterValue(parameterDefinition, ctx.cookies.get(parameterDefinition.name));
       default:
-        throw new FormatValidationError(name, type, format, value, `Unknown format: ${format}.`);
+        return parseParameterValue(parameterDefinition, getRequestParameterSource(ctx, parameterDefinition)[getParameterKey(parameterDefinition)]);
     }
   }
 
-  function validateIntegerInt32(name, type, format, value, actualValue) {
-    if (actualValue > INTEGER_INT32_MAX_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Maximum integer (int32) value: ${INTEGER_INT32_MAX_VALUE}.`);
-    } else if (actualValue < INTEGER_INT32_MIN_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Minimum integer (int32) value: ${INTEGER_INT32_MIN_VALUE}.`);
+  function parseParameterValue(parameterDefinition, parameterValue) {
+    if (parameterDefinition.type === 'array') {
+      return utils.parseCollection(parameterValue, parameterDefinition.collectionFormat);
     }
-    return actualValue;
+    return parameterValue;
   }
 
-  function validateIntegerInt64(name, type, format, value, actualValue) {
-    if (actualValue > INTEGER_INT64_MAX_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Maximum integer (int64) value: ${INTEGER_INT64_MAX_VALUE}.`);
-    } else if (actualValue < INTEGER_INT64_MIN_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Minimum integer (int64) value: ${INTEGER_INT64_MIN_VALUE}.`);
+  function setParameterValue(ctx, parameterDefinition, validatedParameterValue) {
+    if (parameterDefinition.in === 'body') {
+      ctx.request.body = validatedParameterValue;
+    } else {
+      const parameterSource = getRequestParameterSource(ctx, parameterDefinition);
+      parameterSource[getParameterKey(parameterDefinition)] = validatedParameterValue;
     }
-    return actualValue;
   }
 
-  function validateNumber(name, type, format, value) {
-    const actualValue = parseFloat(value);
-    if (isNaN(actualValue)) {
-      throw new TypeValidationError(name, type, format, value, `Not a 'number'.`);
+  function getParameterKey(parameterDefinition) {
+    switch (parameterDefinition.in) {
+      case 'header':
+        /* Node.js lower-cases all incoming header names: */
+        return parameterDefinition.name.toLowerCase();
+      default:
+        return parameterDefinition.name;
     }
+  }
 
-    switch (format) {
-      case 'float':
-        return validateNumberFloat(name, type, format, value, actualValue);
-      case 'double':
-        return validateNumberDouble(name, type, format, value, actualValue);
+  function getRequestParameterSource(ctx, parameterDefinition) {
+    switch (parameterDefinition.in) {
+      case 'path':
+        return ctx.params;
+      case 'query':
+        return ctx.query;
+      case 'header':
+        if (_.isUndefined(ctx.request.headerParameters)) {
+          ctx.request.headerParameters = {};
+        }
+        return ctx.request.headerParameters;
+      case 'body':
+        return ctx.request.body;
+      case 'formData':
+        return (parameterDefinition.type === 'file') ? ctx.request.files : ctx.request.body;
+      case 'cookie':
+        /* OpenAPI 3.0 */
+        if (_.isUndefined(ctx.request.cookies)) {
+          ctx.request.cookies = {};
+        }
+        return ctx.request.cookies;
       default:
-        throw new FormatValidationError(name, type, format, value, `Unknown format: ${format}.`);
+        throw new ParameterValidationError(parameterDefinition, undefined, new SourceValidationError(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, undefined, `Unknown source: '${parameterDefinition.in}'.`));
     }
   }
 
-  function validateNumberFloat(name, type, format, value, actualValue) {
-    if (actualValue > NUMBER_FLOAT_MAX_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Maximum number (float) value: ${NUMBER_FLOAT_MAX_VALUE}.`);
-    } else if (actualValue < NUMBER_FLOAT_MIN_VALUE) {
-      throw new FormatValidationError(name, type, format, value, `Minimum number (float) value: ${NUMBER_FLOAT_MIN_VALUE}.`);
+  function validateParameters(ctx) {
+    const errors = [];
+    _.forEach(parameterDefinitions, parameterDefinition => {
+      try {
+        const parameterValue = getParameterValue(ctx, parameterDefinition);
+        const validatedParameterValue = validateParameter(parameterDefinition, parameterValue);
+        setParameterValue(ctx, parameterDefinition, validatedParameterValue);
+      } catch (err) {
+        if (!validatorOptions.collectErrors) {
+          throw err;
+        }
+        Array.prototype.push.apply(errors, getParameterErrors(err));
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new MultipleValidationError(errors);
     }
-    return actualValue;
   }
 
-  function validateNumberDouble(name, type, format, value, actualValue) {
-    return actualValue;
+  function formatPath(path) {
+    return _.reduce(path, (formattedPath, key) => {
+      return _.isNumber(key) ? `${formattedPath}[${key}]` : `${formattedPath}.${key}`;
+    });
   }
 
-  function validateString(name, type, format, value) {
-    const actualValue = value;
-    if (!_.isString(actualValue)) {
-      throw new TypeValidationError(name, type, format, value, `Not a 'string'.`);
-    }
-
-    switch (format) {
-      case undefined:
-        // No specified format means a simple string. Nothing to check for here.
-        return actualValue;
-      case 'uuid':
-        return validateStringUUID(name, type, format, value, actualValue);
-      case 'isbn':
-        return validateStringISBN(name, type, format, value, actualValue);
-      case 'date-time':
-        return validateStringDateTime(name, type, format, value, actualValue);
-      default:
-        throw new FormatValidationError(name, type, format, value, `Unknown format: ${format}.`);
-    }
+  function getParameterErrors(err) {
+    const causes = (err.cause instanceof MultipleValidationError) ? err.cause.errors : [err.cause];
+    return _.map(causes, cause => {
+      /* Locate the error within the request: */
+      cause.in = err.parameterDefinition.in;
+      cause.path = _.concat(err.parameterDefinition.name, cause.path || []);
+      return cause;
+    });
   }
 
-  function validateStringUUID(name, type, format, value, actualValue) {
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
-      throw new FormatValidationError(name, type, format, value, `Not a 'uuid'.`);
-    }
-    return actualValue;
+  function createErrorBody(err) {
+    return {
+      code      : err.code,
+      message   : err.message,
+      route     : {
+        method : method,
+        path   : route
+      },
+      parameter : {
+        expected : err.parameterDefinition,
+        actual   : err.parameterValue
+      }
+    };
   }
 
-  function validateStringISBN(name, type, format, value, actualValue) {
-    if (!/^(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/i.test(value)) {
-      throw new FormatValidationError(name, type, format, value, `Not a 'isbn'.`);
-    }
-    return actualValue;
+  function createErrorsBody(err) {
+    return {
+      code    : err.code,
+      message : err.message,
+      route   : {
+        method : method,
+        path   : route
+      },
+      errors  : _.map(err.errors, cause => {
+        return {
+          code    : cause.code,
+          message : cause.message,
+          in      : cause.in,
+          path    : formatPath(cause.path)
+        };
+      })
+    };
   }
 
-  function validateStringDateTime(name, type, format, value, actualValue) {
-    /* Performance: ≈4M/sec (2.3 GHz Intel Core i7) */
-    if (!/^([\+-]?\d{4}(?!\d{2}\b))((-?)((0[1-9]|1[0-2])(\3([12]\d|0[1-9]|3[01]))?|W([0-4]\d|5[0-2])(-?[1-7])?|(00[1-9]|0[1-9]\d|[12]\d{2}|3([0-5]\d|6[1-6])))([T\s]((([01]\d|2[0-3])((:?)[0-5]\d)?|24\:?00)([\.,]\d+(?!:))?)?(\17[0-5]\d([\.,]\d+)?)?([zZ]|([\+-])([01]\d|2[0-3]):?([0-5]\d)?)?)?)?$/i.test(value)) {
-      throw new FormatValidationError(name, type, format, value, `Not a 'date-time' (ISO 8601).`);
+  return function* validateRequest(next) {
+    try {
+      validateParameters(this);
+
+      yield next;
+    } catch (err) {
+      debug(err);
+
+      this.status = HTTPStatus.BAD_REQUEST;
+      this.body = (err instanceof MultipleValidationError) ? createErrorsBody(err) : createErrorBody(err);
     }
-    const date = new Date(actualValue);
-    return date;
+  };
+}
+
+function createHostValidator(method, route, host, schemes) {
+  /* Only HTTP(S) requests reach the router (i.e. 'ws' can't be checked for): */
+  const protocols = _.intersection(schemes, ['http', 'https']);
+
+  function createErrorBody(err, location, expected) {
+    const body = {
+      code    : err.code,
+      message : err.message,
+      route   : {
+        method : method,
+        path   : route
+      }
+    };
+    body[location] = {
+      expected : expected,
+      actual   : err.value
+    };
+    return body;
   }
 
-  function validateArray(name, type, format, items, values) {
-    if (!_.isArray(values)) {
-      throw new TypeValidationError(name, type, format, values, `Not an 'array'.`);
-    }
-    if (!items) {
-      throw new TypeValidationError(name, type, format, values, `Items not found.`);
+  return function* validateHost(next) {
+    if (host && this.host.toLowerCase() !== host.toLowerCase()) {
+      const err = new HostValidationError(host, this.host, `Host not served.`);
+      debug(err);
+
+      this.status = HTTPStatus.NOT_FOUND;
+      this.body = createErrorBody(err, 'host', host);
+      return;
     }
-    const refName = items['$ref'];
-    if (refName) {
-      const ref = spec.refs[`${refName}/properties/${name}/items`];
-      items = _.get(spec.resolved, utils.pathFromPtr(ref.uri).join('.'));
+    if (!_.isEmpty(protocols) && !_.includes(protocols, this.protocol)) {
+      const err = new SchemeValidationError(schemes, this.protocol, `Scheme not served.`);
+      debug(err);
+
+      this.status = HTTPStatus.NOT_FOUND;
+      this.body = createErrorBody(err, 'scheme', schemes);
+      return;
     }
 
-    return _.map(values, value => {
-      return validateValueType(name, items.type, items.format, items['x-nullable'], undefined, items.properties, items.required, value);
-    });
+    yield next;
+  };
+}
+
+function createSecurityValidator(method, route, requirements, securityDefinitions, securityHandlers) {
+  function toYieldable(value) {
+    /* Handlers may return the principal itself, a Promise or a generator: */
+    const isYieldable = value && (_.isFunction(value.then) || (_.isFunction(value.next) && _.isFunction(value.throw)));
+    return isYieldable ? value : Promise.resolve(value);
   }
 
-  function validateObject(name, type, format, properties, required, value) {
-    const actualValue = {};
-    if (!properties) {
-      throw new TypeValidationError(name, type, format, value, `Properties not found.`);
-    }
+  function getGrantedScopes(principal) {
+    return _.isString(principal.scopes) ? _.words(principal.scopes, /\S+/g) : _.castArray(principal.scopes || []);
+  }
+
+  function* authenticate(ctx, requirement) {
+    /* All schemes of a requirement have to be satisfied: */
+    const principals = {};
+    for (const name of _.keys(requirement)) {
+      const definition = securityDefinitions[name];
+      const scopes = requirement[name] || [];
 
-    _.forOwn(properties, (propertyInfo, propertyName) => {
-      const refName = propertyInfo['$ref'];
-      if (refName) {
-        const ref = spec.refs[`${refName}/properties/${propertyName}`];
-        propertyInfo = _.get(spec.resolved, utils.pathFromPtr(ref.uri).join('.'));
+      const credentials = security.getCredentials(ctx, definition);
+      if (_.isUndefined(credentials)) {
+        throw new AuthenticationError([name], `Credentials missing.`);
       }
+      const principal = yield toYieldable(securityHandlers[name].call(ctx, credentials, scopes, definition));
+      if (!principal) {
+        throw new AuthenticationError([name], `Credentials rejected.`);
+      }
+      const missingScopes = _.difference(scopes, getGrantedScopes(principal));
+      if (!_.isEmpty(missingScopes)) {
+        throw new AuthorizationError([name], missingScopes, `Insufficient scope.`);
+      }
+      principals[name] = principal;
+    }
+    return principals;
+  }
 
-      const propertyValue = value[propertyName];
-      /* Check for required properties: */
-      if (_.includes(required, propertyName)) {
-        if (_.isUndefined(propertyValue)) {
-          throw new RequiredValidationError(propertyName, propertyInfo.type, propertyInfo.format, undefined, '');
+  function getChallenges() {
+    const names = _.uniq(_.flatMap(requirements, _.keys));
+    return _.uniq(_.compact(_.map(names, name => security.getChallenge(securityDefinitions[name]))));
+  }
+
+  return function* validateSecurity(next) {
+    /* Any one of the requirements has to be satisfied: */
+    const errs = [];
+    let principals;
+    for (const requirement of requirements) {
+      try {
+        principals = yield* authenticate(this, requirement);
+        this.state.principal = principals[_.head(_.keys(requirement))];
+        this.state.principals = principals;
+        break;
+      } catch (err) {
+        if (!(err instanceof AuthenticationError) && !(err instanceof AuthorizationError)) {
+          throw err;
         }
+        errs.push(err);
+      }
+    }
+
+    if (!principals) {
+      /* Authenticated but lacking a scope is forbidden, everything else is unauthorized: */
+      const err = _.find(errs, e => e instanceof AuthorizationError) || _.head(errs);
+      debug(err);
+
+      if (err instanceof AuthorizationError) {
+        this.status = HTTPStatus.FORBIDDEN;
       } else {
-        if (_.isUndefined(propertyValue)) {
-          return;
+        this.status = HTTPStatus.UNAUTHORIZED;
+        const challenges = getChallenges();
+        if (!_.isEmpty(challenges)) {
+          this.set('WWW-Authenticate', challenges);
         }
       }
+      this.body = {
+        code     : err.code,
+        message  : err.message,
+        route    : {
+          method : method,
+          path   : route
+        },
+        security : {
+          expected : requirements
+        }
+      };
+      return;
+    }
+
+    yield next;
+  };
+}
+
+function createProducesNegotiator(method, route, produces) {
+  const mediaTypes = _.map(produces, utils.getMediaType);
+
+  return function* negotiateProduces(next) {
+    const mediaType = this.accepts(mediaTypes);
+    if (!mediaType) {
+      const err = new ProducesValidationError(produces, this.get('Accept'), `Not acceptable.`);
+      debug(err);
 
-      const validatedPropertyValue = validateValue(propertyName, propertyInfo.type, propertyInfo.format, propertyInfo['x-nullable'], propertyInfo.items, propertyInfo.properties, propertyInfo.required, propertyValue);
-      actualValue[propertyName] = validatedPropertyValue;
+      this.status = HTTPStatus.NOT_ACCEPTABLE;
+      this.body = {
+        code     : err.code,
+        message  : err.message,
+        route    : {
+          method : method,
+          path   : route
+        },
+        produces : {
+          expected : produces,
+          actual   : err.value
+        }
+      };
+      return;
+    }
+
+    /* Let the controller know what to serialize to: */
+    this.state.produces = mediaType;
+
+    yield next;
+  };
+}
+
+function createConsumesValidator(method, route, consumes) {
+  const mediaTypes = _.map(consumes, utils.getMediaType);
+
+  return function* validateConsumes(next) {
+    /* Requests without a body have nothing to be consumed: */
+    if (this.request.is(mediaTypes) === false) {
+      const err = new ConsumesValidationError(consumes, this.get('Content-Type'), `Unsupported media type.`);
+      debug(err);
+
+      this.status = HTTPStatus.UNSUPPORTED_MEDIA_TYPE;
+      this.body = {
+        code     : err.code,
+        message  : err.message,
+        route    : {
+          method : method,
+          path   : route
+        },
+        consumes : {
+          expected : consumes,
+          actual   : err.value
+        }
+      };
+      return;
+    }
+
+    yield next;
+  };
+}
+
+function createMultipartParser(method, route, fileParameterDefinitions) {
+  const formidable = utils.requireOptional('formidable');
+
+  /* Cut off oversized uploads while streaming them. formidable limits the size of all files together: */
+  const maxSizes = _.map(fileParameterDefinitions, 'x-max-size');
+  const maxFileSize = _.some(maxSizes, _.isUndefined) ? undefined : _.sum(maxSizes);
+
+  function parseForm(req) {
+    return new Promise((resolve, reject) => {
+      const form = new formidable.IncomingForm(_.isUndefined(maxFileSize) ? {} : {maxFileSize : maxFileSize});
+      const begunFiles = [];
+      let fileName;
+      form.on('fileBegin', (name, file) => {
+        fileName = name;
+        begunFiles.push(file);
+      });
+      form.parse(req, (err, fields, files) => {
+        if (err) {
+          /* formidable removes partial files before their streams are closed, which recreates them: */
+          _.forEach(begunFiles, file => file._writeStream.once('close', () => removeFile(file.filepath)));
+          /* Malformed multipart bodies are the client's fault: */
+          err.status = HTTPStatus.BAD_REQUEST;
+          err.fileName = fileName;
+          return reject(err);
+        }
+        return resolve({
+          fields : fields,
+          files  : files
+        });
+      });
     });
-    return actualValue;
   }
 
-  function validateValue(name, type, format, nullable, items, properties, required, value) {
-    if (_.isNull(value)){
-      if (!_.isUndefined(nullable)) {
-        if (nullable) {
-          return null;
-        } else {
-          throw new NullableValidationError(name, type, format, value, `Can not be 'null'.`);
-        }
+  function getFileInfo(file) {
+    /* Only expose the metadata, the content stays in the temporary file: */
+    return {
+      name : file.originalFilename,
+      path : file.filepath,
+      type : file.mimetype,
+      size : file.size
+    };
+  }
+
+  function removeFile(filePath) {
+    fs.unlink(filePath, err => {
+      if (err && err.code !== 'ENOENT') {
+        debug(err);
       }
-    }
+    });
+  }
 
-    return validateValueType(name, type, format, nullable, items, properties, required, value);
+  function createFileSizeErrorBody(fileName) {
+    const parameterDefinition = _.find(fileParameterDefinitions, {name : fileName}) || _.head(fileParameterDefinitions);
+    const err = new FileSizeValidationError(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, undefined, `Larger than x-max-size: ${maxFileSize} bytes.`);
+    debug(err);
+
+    return {
+      code      : err.code,
+      message   : err.message,
+      route     : {
+        method : method,
+        path   : route
+      },
+      parameter : {
+        expected : parameterDefinition,
+        actual   : undefined
+      }
+    };
   }
 
-  function validateValueType(name, type, format, nullable, items, properties, required, value) {
-    switch (type) {
-      case 'boolean':
-        return validateBoolean(name, type, format, value);
-      case 'integer':
-        return validateInteger(name, type, format, value);
-      case 'number':
-        return validateNumber(name, type, format, value);
-      case 'string':
-        return validateString(name, type, format, value);
-      case 'object':
-        return validateObject(name, type, format, properties, required, value);
-      case 'array':
-        return validateArray(name, type, format, items, value);
-      default:
-        throw new TypeValidationError(name, type, format, value, `Unsupported type: '${type}'.`);
+  return function* parseMultipart(next) {
+    /* Files might have been parsed by another middleware already (which is responsible for removing them then): */
+    if (!_.isUndefined(this.request.files)) {
+      return yield next;
+    }
+    if (!this.request.is('multipart/form-data')) {
+      this.request.files = {};
+      return yield next;
+    }
+
+    let form;
+    try {
+      form = yield parseForm(this.req);
+    } catch (err) {
+      if (err.code !== formidable.errors.biggerThanMaxFileSize) {
+        throw err;
+      }
+      this.status = HTTPStatus.BAD_REQUEST;
+      this.body = createFileSizeErrorBody(err.fileName);
+      return;
     }
+    this.request.body = form.fields;
+    this.request.files = _.mapValues(form.files, getFileInfo);
+
+    /* The temporary files only live as long as the request: */
+    try {
+      yield next;
+    } finally {
+      _.forEach(this.request.files, file => removeFile(file.path));
+    }
+  };
+}
+
+function createResponseValidator(spec, method, route, responseDefinitions, produces, responseValidation, validatorOptions) {
+  const validateValue = createValidator(spec, validatorOptions).validateValue;
+  /* Bodies are validated as sent (JSON), their types are not converted: */
+  const validateSchema = createValidator(spec, _.assign({}, validatorOptions, {strictTypes : true})).validateSchema;
+
+  function getResponseDefinition(status) {
+    return _.get(responseDefinitions, status) || _.get(responseDefinitions, 'default');
+  }
+
+  function getResponseValue(schema, body) {
+    /* Validate what is going to be sent over the wire (i.e. Dates as strings): */
+    return _.isUndefined(body) ? body : JSON.parse(JSON.stringify(formatDates(schema, body, [])));
   }
 
-  function validateSchema(name, type, format, schema, value) {
-    if (!schema) {
-      throw new TypeValidationError(name, type, format, value, `Schema not found.`);
+  function formatDates(definition, value, refs) {
+    if (!_.isObject(definition) || _.isNil(value)) {
+      return value;
     }
 
-    switch (schema.type) {
-      case 'object':
-        return validateObject(name, type, format, schema.properties, schema.required, value);
-      case 'array':
-        return validateArray(name, type, format, schema.items, value);
-      default:
-        throw new TypeValidationError(name, type, format, value, `Unsupported schema type: '${schema.type}'.`);
+    const ref = definition.$ref;
+    if (ref) {
+      /* Circular $refs are left unresolved, follow each of them once: */
+      if (_.includes(refs, ref) || !_.startsWith(ref, '#')) {
+        return value;
+      }
+      return formatDates(_.get(spec.resolved, utils.pathFromPtr(ref)), value, _.concat(refs, ref));
     }
+    if (definition.allOf) {
+      definition = utils.mergeAllOf(definition);
+    }
+
+    if (_.isDate(value)) {
+      /* JSON.stringify() turns Dates into 'date-time's: */
+      return (definition.format === 'date') ? value.toISOString().slice(0, 10) : value;
+    }
+    /* OpenAPI 3.0 */
+    const alternatives = definition.oneOf || definition.anyOf;
+    if (alternatives) {
+      return _.reduce(alternatives, (formattedValue, alternative) => formatDates(alternative, formattedValue, refs), value);
+    }
+    if (_.isArray(value)) {
+      return _.map(value, item => formatDates(definition.items, item, refs));
+    }
+    if (_.isPlainObject(value)) {
+      return _.mapValues(value, (propertyValue, propertyName) => {
+        return formatDates(_.get(definition.properties, propertyName, definition.additionalProperties), propertyValue, refs);
+      });
+    }
+    return value;
   }
 
-  function validateParameter(parameterDefinition, parameterValue) {
+  function isSerializable(body) {
+    return !Buffer.isBuffer(body) && !(body && _.isFunction(body.pipe));
+  }
+
+  function validateResponseBody(ctx, responseDefinition) {
+    if (!responseDefinition.schema || !isSerializable(ctx.body)) {
+      return;
+    }
+
+    const responseValue = getResponseValue(responseDefinition.schema, ctx.body);
     try {
-      if (parameterDefinition.required) {
-        if (_.isUndefined(parameterValue)) {
-          throw new RequiredValidationError(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, undefined, '');
-        }
-      } else {
-        if (_.isUndefined(parameterValue)) {
-          return parameterValue;
-        }
-      }
+      validateSchema('body', responseDefinition.schema, responseValue);
+    } catch (err) {
+      throw new ResponseValidationError(responseDefinition, responseValue, err);
+    }
+  }
 
-      if (parameterDefinition.in === 'body') {
-        return validateSchema(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, parameterDefinition.schema, parameterValue);
-      } else {
-        return validateValue(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, parameterDefinition['x-nullable'], parameterDefinition.items, undefined, undefined, parameterValue);
+  function validateResponseHeader(ctx, headerName, headerDefinition) {
+    let headerValue = ctx.response.headers[headerName.toLowerCase()];
+    if (headerDefinition.type === 'array') {
+      headerValue = utils.parseCollection(headerValue, headerDefinition.collectionFormat);
+    }
+    try {
+      if (_.isUndefined(headerValue)) {
+        throw new RequiredValidationError(headerName, headerDefinition.type, headerDefinition.format, undefined, '');
       }
+      validateValue(headerName, headerDefinition, headerValue);
     } catch (err) {
-      throw new ParameterValidationError(parameterDefinition, parameterValue, err);
+      throw new ResponseHeaderValidationError(headerName, headerDefinition, headerValue, err);
     }
   }
 
-  function getParameterValue(ctx, parameterDefinition) {
-    const parameterSource = getRequestParameterSource(ctx, parameterDefinition);
-    switch (parameterDefinition.in) {
-      case 'body':
-        return parameterSource;
-      default:
-        return parameterSource[parameterDefinition.name];
-    }
+  function validateResponseHeaders(ctx, responseDefinition) {
+    _.forOwn(responseDefinition.headers, (headerDefinition, headerName) => {
+      validateResponseHeader(ctx, headerName, headerDefinition);
+    });
   }
 
-  function setParameterValue(ctx, parameterDefinition, validatedParameterValue) {
-    if (parameterDefinition.in === 'body') {
-      ctx.request.body = validatedParameterValue;
-    } else {
-      const parameterSource = getRequestParameterSource(ctx, parameterDefinition);
-      parameterSource[parameterDefinition.name] = validatedParameterValue;
+  function validateResponseContentType(ctx) {
+    if (_.isEmpty(produces) || _.isNil(ctx.body)) {
+      return;
+    }
+
+    const mediaTypes = _.map(produces, utils.getMediaType);
+    if (!ctx.response.is(mediaTypes)) {
+      const contentType = ctx.response.type;
+      throw new ResponseValidationError(produces, contentType, new ProducesValidationError(produces, contentType, `Content type not produced.`));
     }
   }
 
-  function getRequestParameterSource(ctx, parameterDefinition) {
-    switch (parameterDefinition.in) {
-      case 'path':
-        return ctx.params;
-      case 'query':
-        return ctx.query;
-      case 'body':
-        return ctx.request.body;
-      case 'formData':
-        return ctx.request.body;
-      default:
-        throw new ParameterValidationError(parameterDefinition, undefined, new SourceValidationError(parameterDefinition.name, parameterDefinition.type, parameterDefinition.format, undefined, `Unknown source: '${parameterDefinition.in}'.`));
+  function validateResponseContext(ctx) {
+    const responseDefinition = getResponseDefinition(ctx.status);
+    if (!responseDefinition) {
+      return;
     }
+
+    validateResponseContentType(ctx);
+    validateResponseHeaders(ctx, responseDefinition);
+    validateResponseBody(ctx, responseDefinition);
   }
 
-  function validateParameters(ctx) {
-    _.forEach(parameterDefinitions, parameterDefinition => {
-      const parameterValue = getParameterValue(ctx, parameterDefinition);
-      const validatedParameterValue = validateParameter(parameterDefinition, parameterValue);
-      setParameterValue(ctx, parameterDefinition, validatedParameterValue);
-    });
+  function handleResponseValidationError(ctx, err) {
+    switch (responseValidation) {
+      case RESPONSE_VALIDATION_THROW:
+        ctx.status = HTTPStatus.INTERNAL_SERVER_ERROR;
+        ctx.body = {
+          code     : err.code,
+          message  : err.message,
+          route    : {
+            method : method,
+            path   : route
+          },
+          response : {
+            header   : err.header,
+            expected : err.responseDefinition,
+            actual   : err.responseValue
+          }
+        };
+        break;
+      case RESPONSE_VALIDATION_LOG:
+        console.warn(`[${method.toUpperCase()} ${route}] Invalid response: ${err.message}`);
+        break;
+      case RESPONSE_VALIDATION_HEADER:
+        /* Header values must not contain non-printable or non-ASCII characters: */
+        ctx.set(RESPONSE_VALIDATION_HEADER_NAME, `199 koa-spec "${err.message.replace(/[^\x20-\x7E]|"/g, '?')}"`);
+        break;
+    }
   }
 
-  return function* validateRequest(next) {
-    try {
-      validateParameters(this);
+  return function* validateResponse(next) {
+    yield next;
 
-      yield next;
+    try {
+      validateResponseContext(this);
     } catch (err) {
       debug(err);
 
-      this.status = HTTPStatus.BAD_REQUEST;
-      this.body = {
-        code      : err.code,
-        message   : err.message,
-        route     : {
-          method : method,
-          path   : route
-        },
-        parameter : {
-          expected : err.parameterDefinition,
-          actual   : err.parameterValue
-        }
-      }
+      handleResponseValidationError(this, err);
     }
   };
 }
\ No newline at end of file
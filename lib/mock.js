@@ -0,0 +1,165 @@
+'use strict';
+
+const _ = require('lodash');
+const utils = require('./utils');
+
+const STRING_FORMAT_SAMPLES = {
+  'byte'      : 'c3RyaW5n',
+  'binary'    : 'binary',
+  'password'  : 'password',
+  'uuid'      : '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  'isbn'      : '9780306406157',
+  'date'      : '2016-01-01',
+  'date-time' : '2016-01-01T00:00:00.000Z',
+  'email'     : 'user@example.com',
+  'uri'       : 'https://example.com',
+  'hostname'  : 'example.com',
+  'ipv4'      : '127.0.0.1',
+  'ipv6'      : '::1'
+};
+
+/*
+ * Creates a mock response ({ status, type, headers, body }) for the first 2xx (or 'default') response.
+ * Examples ('examples' per media type or 'x-example') take precedence over data synthesized from the schema.
+ */
+module.exports.createResponse = function (spec, responseDefinitions, mediaType) {
+  const status = getStatus(responseDefinitions);
+  const responseDefinition = _.get(responseDefinitions, _.isUndefined(status) ? 'default' : status);
+  if (!responseDefinition) {
+    return {status : 200};
+  }
+
+  const response = {
+    status  : _.isUndefined(status) ? 200 : Number(status),
+    headers : _.mapValues(responseDefinition.headers, headerDefinition => getHeaderSample(spec, headerDefinition))
+  };
+
+  const exampleMediaType = getExampleMediaType(responseDefinition.examples, mediaType);
+  if (exampleMediaType) {
+    response.type = exampleMediaType;
+    response.body = responseDefinition.examples[exampleMediaType];
+  } else if (!_.isUndefined(responseDefinition['x-example'])) {
+    response.body = responseDefinition['x-example'];
+  } else if (responseDefinition.schema) {
+    response.body = getSample(spec, responseDefinition.schema, []);
+  }
+  return response;
+};
+
+function getStatus(responseDefinitions) {
+  const statuses = _.filter(_.keys(responseDefinitions), status => /^2\d\d$/.test(status));
+  return _.head(_.sortBy(statuses));
+}
+
+function getExampleMediaType(examples, mediaType) {
+  const mediaTypes = _.keys(examples);
+  /* Prefer the negotiated media type, then JSON: */
+  return _.find(mediaTypes, type => mediaType && utils.isMediaTypeMatch(type, mediaType)) ||
+    _.find(mediaTypes, type => /\bjson\b/i.test(type)) ||
+    _.head(mediaTypes);
+}
+
+function getHeaderSample(spec, headerDefinition) {
+  const sample = getSample(spec, headerDefinition, []);
+  return _.isArray(sample) ? utils.formatCollection(sample, headerDefinition.collectionFormat) : String(sample);
+}
+
+function getSample(spec, definition, refs) {
+  const ref = definition.$ref;
+  if (ref) {
+    /* Circular $refs are left unresolved, follow each of them once: */
+    if (_.includes(refs, ref) || !_.startsWith(ref, '#')) {
+      return undefined;
+    }
+    return getSample(spec, _.get(spec.resolved, utils.pathFromPtr(ref)) || {}, _.concat(refs, ref));
+  }
+
+  if (definition.allOf) {
+    definition = utils.mergeAllOf(definition);
+  }
+
+  if (!_.isUndefined(definition.example)) {
+    return definition.example;
+  }
+  if (!_.isUndefined(definition['x-example'])) {
+    return definition['x-example'];
+  }
+  if (!_.isUndefined(definition.default)) {
+    return definition.default;
+  }
+  if (!_.isEmpty(definition.enum)) {
+    return definition.enum[0];
+  }
+  /* OpenAPI 3.0 */
+  if (!_.isEmpty(definition.oneOf) || !_.isEmpty(definition.anyOf)) {
+    const alternative = _.head(definition.oneOf || definition.anyOf);
+    return getSample(spec, utils.mergeAllOf({allOf : [_.omit(definition, ['oneOf', 'anyOf']), alternative]}), refs);
+  }
+
+  switch (getType(definition)) {
+    case 'boolean':
+      return true;
+    case 'integer':
+      return Math.ceil(getNumberSample(definition));
+    case 'number':
+      return getNumberSample(definition);
+    case 'string':
+      return getStringSample(definition);
+    case 'array':
+      return getArraySample(spec, definition, refs);
+    case 'object':
+      return getObjectSample(spec, definition, refs);
+    default:
+      return null;
+  }
+}
+
+function getType(definition) {
+  if (definition.type) {
+    return definition.type;
+  }
+  return (definition.properties || definition.additionalProperties) ? 'object' : undefined;
+}
+
+function getNumberSample(definition) {
+  let value = 0;
+  if (!_.isUndefined(definition.minimum)) {
+    value = definition.exclusiveMinimum ? definition.minimum + 1 : definition.minimum;
+  } else if (!_.isUndefined(definition.maximum)) {
+    value = Math.min(0, definition.exclusiveMaximum ? definition.maximum - 1 : definition.maximum);
+  }
+  if (definition.multipleOf) {
+    value = Math.ceil(value / definition.multipleOf) * definition.multipleOf;
+  }
+  return value;
+}
+
+function getStringSample(definition) {
+  const sample = STRING_FORMAT_SAMPLES[definition.format] || 'string';
+  if (definition.minLength > sample.length) {
+    return _.padEnd(sample, definition.minLength, 'x');
+  }
+  if (definition.maxLength < sample.length) {
+    return sample.slice(0, definition.maxLength);
+  }
+  return sample;
+}
+
+function getArraySample(spec, definition, refs) {
+  if (!definition.items || definition.maxItems === 0) {
+    return [];
+  }
+  const sample = getSample(spec, definition.items, refs);
+  return _.isUndefined(sample) ? [] : [sample];
+}
+
+function getObjectSample(spec, definition, refs) {
+  const sample = {};
+  _.forOwn(definition.properties, (propertyDefinition, propertyName) => {
+    const propertySample = getSample(spec, propertyDefinition, refs);
+    if (!_.isUndefined(propertySample)) {
+      sample[propertyName] = propertySample;
+    }
+  });
+  return sample;
+}
@@ -0,0 +1,128 @@
+'use strict';
+
+const _ = require('lodash');
+const url = require('url');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/* OpenAPI 3.0 'style' (and 'explode') of array parameters as Swagger 2.0 'collectionFormat': */
+const COLLECTION_FORMATS = {
+  form           : 'csv',
+  simple         : 'csv',
+  spaceDelimited : 'ssv',
+  pipeDelimited  : 'pipes'
+};
+
+const DEFAULT_STYLES = {
+  query  : 'form',
+  cookie : 'form',
+  path   : 'simple',
+  header : 'simple'
+};
+
+module.exports.isOpenAPI = function (document) {
+  return _.isString(document.openapi) && _.startsWith(document.openapi, '3.');
+};
+
+/*
+ * Converts a (resolved) OpenAPI 3.0 document to the Swagger 2.0 structure the router and validator work with.
+ * Schemas keep their OpenAPI 3.0 keywords ('nullable', 'oneOf', 'anyOf', ...), which the validator understands.
+ */
+module.exports.normalize = function (document) {
+  return _.assign({}, document, getServerLocation(document.servers), {
+    definitions         : _.get(document, ['components', 'schemas'], {}),
+    securityDefinitions : _.get(document, ['components', 'securitySchemes'], {}),
+    paths               : _.mapValues(document.paths, normalizePathItem)
+  });
+};
+
+function getServerLocation(servers) {
+  const server = _.head(servers);
+  if (!server || !server.url) {
+    return {};
+  }
+
+  const serverUrl = url.parse(server.url);
+  const location = {
+    basePath : (serverUrl.pathname || '/').replace(/\/$/, '') || '/'
+  };
+  if (serverUrl.host) {
+    location.host = serverUrl.host;
+    location.schemes = [serverUrl.protocol.slice(0, -1)];
+  }
+  return location;
+}
+
+function normalizePathItem(pathItem) {
+  const operations = _.pick(pathItem, METHODS);
+  return _.mapValues(operations, operation => normalizeOperation(operation, pathItem.parameters));
+}
+
+function normalizeOperation(operation, pathItemParameters) {
+  /* Operation level parameters override path level ones with the same name and location: */
+  const parameters = _.unionBy(operation.parameters, pathItemParameters, parameter => `${parameter.in}:${parameter.name}`);
+  const normalizedParameters = _.map(parameters, normalizeParameter);
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    normalizedParameters.push({
+      name     : 'body',
+      in       : 'body',
+      required : Boolean(requestBody.required),
+      schema   : getContentSchema(requestBody.content) || {}
+    });
+  }
+
+  const normalizedOperation = _.assign(_.omit(operation, ['requestBody', 'servers', 'callbacks']), {
+    parameters : normalizedParameters,
+    responses  : _.mapValues(operation.responses, normalizeResponse)
+  });
+
+  const consumes = _.keys(_.get(requestBody, 'content'));
+  if (!_.isEmpty(consumes)) {
+    normalizedOperation.consumes = consumes;
+  }
+  const produces = _.union.apply(_, _.map(operation.responses, response => _.keys(response.content)));
+  if (!_.isEmpty(produces)) {
+    normalizedOperation.produces = produces;
+  }
+  return normalizedOperation;
+}
+
+function normalizeParameter(parameter) {
+  const schema = parameter.schema || getContentSchema(parameter.content) || {};
+  const normalizedParameter = _.assign({}, schema, _.omit(parameter, ['schema', 'content', 'style', 'explode', 'example', 'examples']));
+
+  if (schema.type === 'array') {
+    const style = parameter.style || DEFAULT_STYLES[parameter.in];
+    /* Only 'form' explodes by default (i.e. "?id=1&id=2"), cookies can't be repeated though: */
+    const explode = _.isUndefined(parameter.explode) ? (style === 'form') : parameter.explode;
+    normalizedParameter.collectionFormat = (explode && style === 'form' && parameter.in !== 'cookie') ? 'multi' : COLLECTION_FORMATS[style];
+  }
+  return normalizedParameter;
+}
+
+function normalizeResponse(response) {
+  const normalizedResponse = _.omit(response, ['content', 'links']);
+
+  const schema = getContentSchema(response.content);
+  if (schema) {
+    normalizedResponse.schema = schema;
+  }
+  const examples = _.omitBy(_.mapValues(response.content, 'example'), _.isUndefined);
+  if (!_.isEmpty(examples)) {
+    normalizedResponse.examples = examples;
+  }
+  if (response.headers) {
+    normalizedResponse.headers = _.mapValues(response.headers, header => {
+      return _.assign({}, header.schema, _.omit(header, ['schema', 'style', 'explode', 'example', 'examples']));
+    });
+  }
+  return normalizedResponse;
+}
+
+function getContentSchema(content) {
+  /* Swagger 2.0 knows a single schema per operation, prefer JSON: */
+  const mediaType = _.find(_.keys(content), key => /\bjson\b/i.test(key)) || _.head(_.keys(content));
+  return mediaType ? content[mediaType].schema : undefined;
+}
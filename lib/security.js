@@ -0,0 +1,90 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * Extracts the credentials for a security definition from the request.
+ * Returns 'undefined' for requests not carrying any (or malformed) credentials.
+ */
+module.exports.getCredentials = function (ctx, definition) {
+  switch (getScheme(definition)) {
+    case 'apiKey':
+      return getApiKey(ctx, definition);
+    case 'basic':
+      return getBasicCredentials(ctx);
+    case 'bearer':
+      return getBearerToken(ctx);
+    default:
+      return undefined;
+  }
+};
+
+/* The 'WWW-Authenticate' challenge for requests lacking valid credentials: */
+module.exports.getChallenge = function (definition) {
+  switch (getScheme(definition)) {
+    case 'basic':
+      return 'Basic';
+    case 'bearer':
+      return 'Bearer';
+    default:
+      return undefined;
+  }
+};
+
+module.exports.isSupported = function (definition) {
+  return !_.isUndefined(getScheme(definition));
+};
+
+function getScheme(definition) {
+  switch (definition.type) {
+    case 'apiKey':
+      return _.includes(['header', 'query', 'cookie'], definition.in) ? 'apiKey' : undefined;
+    case 'basic':
+      return 'basic';
+    case 'oauth2':
+    case 'openIdConnect':
+      return 'bearer';
+    case 'http':
+      /* OpenAPI 3.0 */
+      return _.includes(['basic', 'bearer'], _.toLower(definition.scheme)) ? _.toLower(definition.scheme) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function getApiKey(ctx, definition) {
+  switch (definition.in) {
+    case 'header':
+      return ctx.get(definition.name) || undefined;
+    case 'query':
+      return ctx.query[definition.name] || undefined;
+    case 'cookie':
+      return ctx.cookies.get(definition.name) || undefined;
+  }
+}
+
+function getAuthorization(ctx, scheme) {
+  const match = /^(\S+)\s+(\S+)$/.exec(ctx.get('Authorization'));
+  return (match && match[1].toLowerCase() === scheme) ? match[2] : undefined;
+}
+
+function getBasicCredentials(ctx) {
+  const authorization = getAuthorization(ctx, 'basic');
+  if (!authorization) {
+    return undefined;
+  }
+
+  const decoded = Buffer.from(authorization, 'base64').toString();
+  const separatorIndex = decoded.indexOf(':');
+  if (separatorIndex < 0) {
+    return undefined;
+  }
+  return {
+    username : decoded.slice(0, separatorIndex),
+    password : decoded.slice(separatorIndex + 1)
+  };
+}
+
+function getBearerToken(ctx) {
+  return getAuthorization(ctx, 'bearer');
+}
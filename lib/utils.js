@@ -1,34 +1,141 @@
 'use strict';
 
 const _ = require('lodash');
+const co = require('co');
 const fs = require('fs');
+const path = require('path');
 const jsonRefs = require('json-refs');
 const yaml = require('js-yaml');
-const deasync = require('deasync');
+const ZSchema = require('z-schema');
+const SWAGGER_SCHEMA = require('swagger-schema-official/schema.json');
+/* Its 'id' breaks resolving its own (local) references: */
+const OPENAPI_SCHEMA = _.omit(require('@apidevtools/openapi-schemas/schemas/v3.0/schema.json'), 'id');
 
-module.exports.readSpec = function (source, options) {
+module.exports.readSpec = function (source, options, loader) {
   // TODO Support non-files too...
   const file = fs.readFileSync(source, 'utf8');
   const data = yaml.safeLoad(file);
-  return resolveRefsSync(data, options);
+  return resolveRefsSync(data, getRefOptions(source, options, loader));
 };
 
+module.exports.loadSpec = function (source, options, loader) {
+  return readFile(source)
+    .then(file => {
+      const data = yaml.safeLoad(file);
+      return resolveRefs(data, getRefOptions(source, options, loader));
+    });
+};
+
+let specValidator;
+
+module.exports.validateSpec = function (spec) {
+  // Compiling the schema is expensive, do it once:
+  const validator = specValidator || (specValidator = new ZSchema({
+    breakOnFirstError    : false,
+    ignoreUnknownFormats : true
+  }));
+  const schema = _.isUndefined(spec.openapi) ? SWAGGER_SCHEMA : OPENAPI_SCHEMA;
+  if (validator.validate(spec, schema)) {
+    return [];
+  }
+  return _.map(validator.getLastErrors(), err => {
+    return {
+      code    : err.code,
+      message : err.message,
+      path    : err.path
+    };
+  });
+};
+
+module.exports.clearRefCache = function () {
+  jsonRefs.clearCache();
+};
+
+module.exports.getReferencedFiles = function (source, refs) {
+  // Nested relative $refs are relative to the document referencing them, which is resolved first:
+  const pointers = _.sortBy(_.keys(refs), 'length');
+  const files = {};
+  _.forEach(pointers, pointer => {
+    const ref = refs[pointer];
+    if (ref.type !== 'relative' || !ref.uriDetails || !ref.uriDetails.path) {
+      return;
+    }
+    const parent = _.findLast(pointers, parentPointer => files[parentPointer] && _.startsWith(pointer, `${parentPointer}/`));
+    const base = parent ? path.dirname(files[parent]) : path.dirname(source);
+    files[pointer] = path.resolve(base, ref.uriDetails.path);
+  });
+  return _.uniq(_.concat(path.resolve(source), _.values(files)));
+};
+
+function getRefOptions(source, options, loader) {
+  if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+    // Let json-refs report invalid options:
+    return options;
+  }
+
+  const loaderOptions = _.assign({
+    processContent : parseContent
+  }, options && options.loaderOptions);
+  if (loader) {
+    loaderOptions.prepareRequest = createLoaderRequest(loader);
+  }
+
+  return _.assign({
+    // Relative $refs are relative to the spec itself, not to the working directory:
+    relativeBase : path.dirname(source)
+  }, options, {
+    loaderOptions : loaderOptions
+  });
+}
+
+function parseContent(res, cb) {
+  // Referenced documents may be YAML (or JSON, which is YAML too):
+  try {
+    return cb(undefined, yaml.safeLoad(res.text));
+  } catch (err) {
+    return cb(err);
+  }
+}
+
+function createLoaderRequest(loader) {
+  return function (req, cb) {
+    // Replace the (not yet sent) remote request by the custom loader:
+    cb(undefined, {
+      end : function (end) {
+        Promise.resolve()
+          .then(() => loader(req.url))
+          .then(text => end(undefined, {text : text}))
+          .catch(err => end(err));
+      }
+    });
+  };
+}
+
+function readFile(source) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(source, 'utf8', (err, file) => err ? reject(err) : resolve(file));
+  });
+}
+
 function resolveRefsSync(spec, options) {
-  return deasync(resolveRefs)(spec, options);
+  // Only the synchronous API blocks on the (native) deasync module:
+  const deasync = module.exports.requireOptional('deasync');
+  if (!deasync) {
+    throw new Error(`Module 'deasync' isn't available. Install via 'npm install --save deasync' or use 'koaspec.load()'.`);
+  }
+  return deasync(function (spec, options, cb) {
+    resolveRefs(spec, options).then(spec => cb(null, spec), err => cb(err));
+  })(spec, options);
 }
 
-function resolveRefs(spec, options, cb) {
-  jsonRefs.resolveRefs(spec, options || {})
+function resolveRefs(spec, options) {
+  return jsonRefs.resolveRefs(spec, options || {})
     .then(function (spec) {
       const errs = _.chain(spec.refs).values().each().map('error').compact().value();
       if (errs.length > 0) {
-        return cb(new Error(errs));
-      } else {
-        return cb(null, spec)
+        throw new Error(errs);
       }
-    })
-    .catch(function (err) {
-      cb(err);
+      return spec;
     });
 }
 
@@ -49,6 +156,38 @@ module.exports.isRequireResolvable = function (name) {
   }
 };
 
+module.exports.requireOptional = function (name) {
+  // Optional modules might be missing (or, if native, not built):
+  try {
+    return require(name);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+module.exports.getKoaVersion = function () {
+  try {
+    return parseInt(require('koa/package.json').version, 10);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+module.exports.isGeneratorFunction = function (fn) {
+  return _.isFunction(fn) && fn.constructor && fn.constructor.name === 'GeneratorFunction';
+};
+
+module.exports.toAsyncMiddleware = function (middleware) {
+  // Runs Koa 1 middleware ('function* (next)', using 'this') as Koa 2 middleware ('(ctx, next)', returning a Promise):
+  return function (ctx, next) {
+    return co.call(ctx, middleware.call(ctx, createNext(next)));
+  };
+};
+
+function* createNext(next) {
+  return yield next();
+}
+
 module.exports.parseBoolean = function (value) {
   if (_.isBoolean(value)) {
     return value;
@@ -62,6 +201,58 @@ module.exports.parseBoolean = function (value) {
   return undefined;
 };
 
+const COLLECTION_FORMAT_SEPARATORS = {
+  csv   : ',',
+  ssv   : ' ',
+  tsv   : '\t',
+  pipes : '|'
+};
+
+module.exports.parseCollection = function (value, collectionFormat) {
+  if (_.isUndefined(value)) {
+    return value;
+  }
+  if (collectionFormat === 'multi') {
+    // Repeated names (i.e. "?id=1&id=2") are already parsed into arrays, single ones are not:
+    return _.isArray(value) ? value : [value];
+  }
+
+  const separator = COLLECTION_FORMAT_SEPARATORS[collectionFormat || 'csv'];
+  if (!separator || !_.isString(value)) {
+    return value;
+  }
+  return (value === '') ? [] : value.split(separator);
+};
+
+module.exports.formatCollection = function (values, collectionFormat) {
+  const separator = COLLECTION_FORMAT_SEPARATORS[collectionFormat || 'csv'] || COLLECTION_FORMAT_SEPARATORS.csv;
+  return values.join(separator);
+};
+
+module.exports.getMediaType = function (value) {
+  // Strip parameters such as "charset":
+  return value.split(';')[0].trim().toLowerCase();
+};
+
+module.exports.isMediaTypeMatch = function (value, mediaTypeRange) {
+  // Supports wildcard ranges such as "image/*" and "*/*":
+  const mediaType = module.exports.getMediaType(value).split('/');
+  const range = module.exports.getMediaType(mediaTypeRange).split('/');
+  return (range[0] === '*' || range[0] === mediaType[0]) && (range[1] === '*' || range[1] === mediaType[1]);
+};
+
+module.exports.mergeAllOf = function (definition) {
+  const members = _.concat(definition.allOf, _.omit(definition, 'allOf'));
+  return _.reduce(members, (merged, member) => {
+    const memberDefinition = member.allOf ? module.exports.mergeAllOf(member) : member;
+    /* The discriminator of a parent only applies when validating against the parent itself: */
+    return _.assign(merged, _.omit(memberDefinition, ['properties', 'required', 'discriminator']), {
+      properties : _.assign({}, merged.properties, memberDefinition.properties),
+      required   : _.union(merged.required, memberDefinition.required)
+    });
+  }, {});
+};
+
 module.exports.pathFromPtr = function (ptr) {
   return jsonRefs.pathFromPtr(ptr);
 };
\ No newline at end of file
@@ -0,0 +1,511 @@
+'use strict';
+
+const _ = require('lodash');
+const utils = require('./utils');
+const parseBoolean = utils.parseBoolean;
+const formats = require('./formats');
+const errors = require('./errors');
+
+const RequiredValidationError = errors.RequiredValidationError;
+const NullableValidationError = errors.NullableValidationError;
+const TypeValidationError = errors.TypeValidationError;
+const FormatValidationError = errors.FormatValidationError;
+const RangeValidationError = errors.RangeValidationError;
+const MinLengthValidationError = errors.MinLengthValidationError;
+const MaxLengthValidationError = errors.MaxLengthValidationError;
+const PatternValidationError = errors.PatternValidationError;
+const EnumValidationError = errors.EnumValidationError;
+const MinItemsValidationError = errors.MinItemsValidationError;
+const MaxItemsValidationError = errors.MaxItemsValidationError;
+const UniqueValidationError = errors.UniqueValidationError;
+const AdditionalPropertyValidationError = errors.AdditionalPropertyValidationError;
+const FileSizeValidationError = errors.FileSizeValidationError;
+const FileTypeValidationError = errors.FileTypeValidationError;
+const MultipleValidationError = errors.MultipleValidationError;
+
+module.exports = function createValidator(spec, options) {
+  const applyDefaults = Boolean(options && options.applyDefaults);
+  const rejectUnknownProperties = Boolean(options && options.rejectUnknownProperties);
+  const collectErrors = Boolean(options && options.collectErrors);
+  const customFormats = options && options.formats;
+  /* Parsed (i.e. JSON) values are typed already, only strings from the URL or headers are converted: */
+  const strictTypes = Boolean(options && options.strictTypes);
+
+  function validateMember(errors, key, validate) {
+    try {
+      return validate();
+    } catch (err) {
+      /* Track where in the (nested) value the error occurred: */
+      const causes = (err instanceof MultipleValidationError) ? err.errors : [err];
+      _.forEach(causes, cause => {
+        cause.path = _.concat(key, cause.path || []);
+      });
+
+      if (!collectErrors) {
+        throw err;
+      }
+      Array.prototype.push.apply(errors, causes);
+    }
+  }
+
+  function throwErrors(errors) {
+    if (errors.length > 0) {
+      throw new MultipleValidationError(errors);
+    }
+  }
+
+  function validateBoolean(name, type, format, value) {
+    const actualValue = parseBoolean(value);
+
+    if (!_.isBoolean(actualValue)) {
+      throw new TypeValidationError(name, type, format, value, `Not a 'boolean'.`);
+    }
+
+    return actualValue;
+  }
+
+  function validateInteger(name, type, format, value) {
+    const actualValue = parseInt(value, 10);
+
+    if (isNaN(actualValue)) {
+      throw new TypeValidationError(name, type, format, value, `Not an 'integer'.`);
+    } else if (parseFloat(value) % 1 !== 0) { // Checks if this actually was a float, not an integer!
+      throw new TypeValidationError(name, type, format, value, `Not an 'integer'.`);
+    }
+
+    // No specified format means the maximum precision we can safely handle.
+    return validateFormat(name, type, format || 'int64', value, actualValue);
+  }
+
+  function validateNumber(name, type, format, value) {
+    const actualValue = parseFloat(value);
+    if (isNaN(actualValue)) {
+      throw new TypeValidationError(name, type, format, value, `Not a 'number'.`);
+    }
+
+    // No specified format means the maximum precision we can handle.
+    return validateFormat(name, type, format || 'double', value, actualValue);
+  }
+
+  function validateNumberMinimum(name, definition, value, actualValue) {
+    const minimum = definition.minimum;
+    if (_.isUndefined(minimum)) {
+      return;
+    }
+
+    if (definition.exclusiveMinimum) {
+      if (actualValue <= minimum) {
+        throw new RangeValidationError(name, definition.type, definition.format, value, `Exclusive minimum value: ${minimum}.`);
+      }
+    } else if (actualValue < minimum) {
+      throw new RangeValidationError(name, definition.type, definition.format, value, `Minimum value: ${minimum}.`);
+    }
+  }
+
+  function validateNumberMaximum(name, definition, value, actualValue) {
+    const maximum = definition.maximum;
+    if (_.isUndefined(maximum)) {
+      return;
+    }
+
+    if (definition.exclusiveMaximum) {
+      if (actualValue >= maximum) {
+        throw new RangeValidationError(name, definition.type, definition.format, value, `Exclusive maximum value: ${maximum}.`);
+      }
+    } else if (actualValue > maximum) {
+      throw new RangeValidationError(name, definition.type, definition.format, value, `Maximum value: ${maximum}.`);
+    }
+  }
+
+  function validateNumberMultipleOf(name, definition, value, actualValue) {
+    const multipleOf = definition.multipleOf;
+    if (_.isUndefined(multipleOf)) {
+      return;
+    }
+
+    /* Allow for floating point imprecision (i.e. 0.3 / 0.1 = 2.9999999999999996): */
+    const quotient = actualValue / multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      throw new RangeValidationError(name, definition.type, definition.format, value, `Not a multiple of: ${multipleOf}.`);
+    }
+  }
+
+  function validateNumberRange(name, definition, value, actualValue) {
+    validateNumberMinimum(name, definition, value, actualValue);
+    validateNumberMaximum(name, definition, value, actualValue);
+    validateNumberMultipleOf(name, definition, value, actualValue);
+    return actualValue;
+  }
+
+  function validateString(name, type, format, value) {
+    const actualValue = value;
+    if (!_.isString(actualValue)) {
+      throw new TypeValidationError(name, type, format, value, `Not a 'string'.`);
+    }
+
+    if (_.isUndefined(format)) {
+      // No specified format means a simple string. Nothing to check for here.
+      return actualValue;
+    }
+    return validateFormat(name, type, format, value, actualValue);
+  }
+
+  function validateFormat(name, type, format, value, actualValue) {
+    const validateFormatValue = formats.get(type, format, customFormats);
+    if (!validateFormatValue) {
+      throw new FormatValidationError(name, type, format, value, `Unknown format: ${format}.`);
+    }
+
+    let formattedValue;
+    try {
+      formattedValue = validateFormatValue(actualValue);
+    } catch (err) {
+      throw new FormatValidationError(name, type, format, value, err.message);
+    }
+    return _.isUndefined(formattedValue) ? actualValue : formattedValue;
+  }
+
+  function validateStringLength(name, definition, value) {
+    const minLength = definition.minLength;
+    const maxLength = definition.maxLength;
+    if (!_.isUndefined(minLength) && value.length < minLength) {
+      throw new MinLengthValidationError(name, definition.type, definition.format, value, `Shorter than minLength: ${minLength}.`);
+    }
+    if (!_.isUndefined(maxLength) && value.length > maxLength) {
+      throw new MaxLengthValidationError(name, definition.type, definition.format, value, `Longer than maxLength: ${maxLength}.`);
+    }
+  }
+
+  function validateStringPattern(name, definition, value) {
+    const pattern = definition.pattern;
+    if (!_.isUndefined(pattern) && !new RegExp(pattern).test(value)) {
+      throw new PatternValidationError(name, definition.type, definition.format, value, `Does not match pattern: '${pattern}'.`);
+    }
+  }
+
+  function validateStringConstraints(name, definition, value, actualValue) {
+    validateStringLength(name, definition, value);
+    validateStringPattern(name, definition, value);
+    /* Compare the string itself, not its converted value (i.e. a Buffer): */
+    validateEnum(name, definition, value, value);
+    return actualValue;
+  }
+
+  function validateEnum(name, definition, value, actualValue) {
+    const values = definition['enum'];
+    if (!_.isUndefined(values) && !_.includes(values, actualValue)) {
+      throw new EnumValidationError(name, definition.type, definition.format, value, `Not one of enum: [${values.join(', ')}].`);
+    }
+    return actualValue;
+  }
+
+  function validateFile(name, definition, value) {
+    const type = definition.type;
+    const format = definition.format;
+    if (!_.isPlainObject(value) || !_.isNumber(value.size)) {
+      throw new TypeValidationError(name, type, format, value, `Not a 'file'.`);
+    }
+
+    const maxSize = definition['x-max-size'];
+    if (!_.isUndefined(maxSize) && value.size > maxSize) {
+      throw new FileSizeValidationError(name, type, format, value.name, `Larger than x-max-size: ${maxSize} bytes.`);
+    }
+    const mimeTypes = definition['x-mime-types'];
+    if (!_.isUndefined(mimeTypes) && !_.some(mimeTypes, mimeType => utils.isMediaTypeMatch(value.type || '', mimeType))) {
+      throw new FileTypeValidationError(name, type, format, value.name, `Not one of x-mime-types: ${mimeTypes.join(', ')}.`);
+    }
+    return value;
+  }
+
+  function validateArrayLength(name, definition, values) {
+    const minItems = definition.minItems;
+    const maxItems = definition.maxItems;
+    if (!_.isUndefined(minItems) && values.length < minItems) {
+      throw new MinItemsValidationError(name, definition.type, definition.format, values, `Fewer items than minItems: ${minItems}.`);
+    }
+    if (!_.isUndefined(maxItems) && values.length > maxItems) {
+      throw new MaxItemsValidationError(name, definition.type, definition.format, values, `More items than maxItems: ${maxItems}.`);
+    }
+  }
+
+  function validateArrayUniqueness(name, definition, values, actualValues) {
+    if (definition.uniqueItems && _.uniqWith(actualValues, _.isEqual).length !== actualValues.length) {
+      throw new UniqueValidationError(name, definition.type, definition.format, values, `Items are not unique.`);
+    }
+    return actualValues;
+  }
+
+  function validateArray(name, definition, values) {
+    const type = definition.type;
+    const format = definition.format;
+    let items = definition.items;
+    if (!_.isArray(values)) {
+      throw new TypeValidationError(name, type, format, values, `Not an 'array'.`);
+    }
+    if (!items) {
+      throw new TypeValidationError(name, type, format, values, `Items not found.`);
+    }
+    const refName = items['$ref'];
+    if (refName) {
+      const ref = spec.refs[`${refName}/properties/${name}/items`];
+      items = _.get(spec.resolved, utils.pathFromPtr(ref.uri).join('.'));
+    }
+
+    validateArrayLength(name, definition, values);
+
+    const errors = [];
+    const actualValues = _.map(values, (value, index) => {
+      return validateMember(errors, index, () => {
+        /* Nested arrays of (non-body) parameters are encoded as strings too: */
+        if (items.type === 'array' && items.collectionFormat) {
+          value = utils.parseCollection(value, items.collectionFormat);
+        }
+        return validateValueType(name, items, value);
+      });
+    });
+    throwErrors(errors);
+
+    return validateArrayUniqueness(name, definition, values, actualValues);
+  }
+
+  function validateAdditionalProperty(propertyName, additionalProperties, propertyValue) {
+    if (additionalProperties === true || _.isEmpty(additionalProperties)) {
+      // Anything goes.
+      return propertyValue;
+    }
+
+    return validateValue(propertyName, additionalProperties, propertyValue);
+  }
+
+  function validateAdditionalProperties(definition, value, actualValue, errors) {
+    const additionalProperties = definition.additionalProperties;
+    _.forOwn(value, (propertyValue, propertyName) => {
+      if (_.has(definition.properties, propertyName)) {
+        return;
+      }
+
+      validateMember(errors, propertyName, () => {
+        if (additionalProperties === false || (_.isUndefined(additionalProperties) && rejectUnknownProperties)) {
+          throw new AdditionalPropertyValidationError(propertyName, undefined, undefined, propertyValue, `Unknown property.`);
+        } else if (!_.isUndefined(additionalProperties)) {
+          actualValue[propertyName] = validateAdditionalProperty(propertyName, additionalProperties, propertyValue);
+        }
+        /* Otherwise unknown properties are stripped. */
+      });
+    });
+  }
+
+  function validateProperty(definition, propertyName, propertyInfo, value, actualValue) {
+    const refName = propertyInfo['$ref'];
+    if (refName) {
+      const ref = spec.refs[`${refName}/properties/${propertyName}`];
+      propertyInfo = _.get(spec.resolved, utils.pathFromPtr(ref.uri).join('.'));
+    }
+
+    const propertyValue = value[propertyName];
+    /* Check for required properties: */
+    if (_.includes(definition.required, propertyName)) {
+      if (_.isUndefined(propertyValue)) {
+        throw new RequiredValidationError(propertyName, propertyInfo.type, propertyInfo.format, undefined, '');
+      }
+    } else {
+      if (_.isUndefined(propertyValue)) {
+        const defaultValue = validateDefault(propertyName, propertyInfo);
+        if (!_.isUndefined(defaultValue)) {
+          actualValue[propertyName] = defaultValue;
+        }
+        return;
+      }
+    }
+
+    const validatedPropertyValue = validateValue(propertyName, propertyInfo, propertyValue);
+    actualValue[propertyName] = validatedPropertyValue;
+  }
+
+  function validateObject(name, definition, value) {
+    const type = definition.type;
+    const format = definition.format;
+    const properties = definition.properties;
+    const actualValue = {};
+    if (!_.isPlainObject(value)) {
+      throw new TypeValidationError(name, type, format, value, `Not an 'object'.`);
+    }
+    /* An explicit 'additionalProperties' (even 'false', i.e. an empty object) defines the object: */
+    if (!properties && _.isUndefined(definition.additionalProperties)) {
+      throw new TypeValidationError(name, type, format, value, `Properties not found.`);
+    }
+
+    const errors = [];
+    _.forOwn(properties, (propertyInfo, propertyName) => {
+      validateMember(errors, propertyName, () => validateProperty(definition, propertyName, propertyInfo, value, actualValue));
+    });
+    validateAdditionalProperties(definition, value, actualValue, errors);
+    throwErrors(errors);
+
+    return actualValue;
+  }
+
+  function validateValue(name, definition, value) {
+    /* Swagger 2.0 vendor extension or OpenAPI 3.0 keyword: */
+    const nullable = _.isUndefined(definition['x-nullable']) ? definition.nullable : definition['x-nullable'];
+    if (_.isNull(value)){
+      if (!_.isUndefined(nullable)) {
+        if (nullable) {
+          return null;
+        } else {
+          throw new NullableValidationError(name, definition.type, definition.format, value, `Can not be 'null'.`);
+        }
+      }
+    }
+
+    return validateValueType(name, definition, value);
+  }
+
+  function getDiscriminatorProperty(discriminator) {
+    /* OpenAPI 3.0 discriminators are objects: */
+    return _.isPlainObject(discriminator) ? discriminator.propertyName : discriminator;
+  }
+
+  function isDiscriminatedBy(definition, discriminator) {
+    if (getDiscriminatorProperty(definition.discriminator) === getDiscriminatorProperty(discriminator)) {
+      return true;
+    }
+    return _.some(definition.allOf, member => isDiscriminatedBy(member, discriminator));
+  }
+
+  function getDiscriminatedDefinition(definition, discriminatorValue) {
+    const mapping = _.get(definition.discriminator, ['mapping', discriminatorValue]);
+    if (mapping) {
+      /* Mapped to either a JSON pointer or a definition name: */
+      return _.startsWith(mapping, '#') ? _.get(spec.resolved, utils.pathFromPtr(mapping)) : _.get(spec.resolved, ['definitions', mapping]);
+    }
+
+    const concreteDefinition = _.get(spec.resolved, ['definitions', discriminatorValue]);
+    if (!concreteDefinition) {
+      return undefined;
+    }
+    /* Either inherits from the definition or is one of its alternatives: */
+    const alternatives = _.concat(definition.oneOf || [], definition.anyOf || []);
+    if (isDiscriminatedBy(concreteDefinition, definition.discriminator) || _.some(alternatives, alternative => _.isEqual(alternative, concreteDefinition))) {
+      return concreteDefinition;
+    }
+    return undefined;
+  }
+
+  function resolveDiscriminator(name, definition, value) {
+    const discriminator = getDiscriminatorProperty(definition.discriminator);
+    const discriminatorValue = _.isPlainObject(value) ? value[discriminator] : undefined;
+    if (_.isUndefined(discriminatorValue)) {
+      // Nothing to discriminate by (yet). Validating the object itself will detect missing properties.
+      return _.omit(definition, 'discriminator');
+    }
+
+    const concreteDefinition = getDiscriminatedDefinition(definition, discriminatorValue);
+    if (!concreteDefinition) {
+      throw new TypeValidationError(name, definition.type, definition.format, value, `Unknown '${discriminator}': '${discriminatorValue}'.`);
+    }
+    return _.omit(concreteDefinition, 'discriminator');
+  }
+
+  function isOfType(type, value) {
+    switch (type) {
+      case 'boolean':
+        return _.isBoolean(value);
+      case 'integer':
+        return _.isInteger(value);
+      case 'number':
+        return _.isNumber(value);
+      case 'string':
+        return _.isString(value);
+      case 'object':
+        return _.isPlainObject(value);
+      case 'array':
+        return _.isArray(value);
+      default:
+        return true;
+    }
+  }
+
+  function validateAlternatives(name, definition, value, keyword) {
+    /* Each alternative is combined with the rest of the definition: */
+    const baseDefinition = _.omit(definition, keyword);
+    const validatedValues = _.reduce(definition[keyword], (validatedValues, alternative) => {
+      const alternativeDefinition = utils.mergeAllOf({allOf : [baseDefinition, alternative]});
+      /* Otherwise i.e. "5" would match both 'integer' and 'string': */
+      if (strictTypes && !_.isNull(value) && !isOfType(alternativeDefinition.type, value)) {
+        return validatedValues;
+      }
+      try {
+        validatedValues.push(validateValue(name, alternativeDefinition, value));
+      } catch (err) {
+        // Not matching this alternative.
+      }
+      return validatedValues;
+    }, []);
+
+    if (validatedValues.length === 0) {
+      throw new TypeValidationError(name, definition.type, definition.format, value, `Does not match any schema of '${keyword}'.`);
+    } else if (keyword === 'oneOf' && validatedValues.length > 1) {
+      throw new TypeValidationError(name, definition.type, definition.format, value, `Matches more than one schema of 'oneOf'.`);
+    }
+    return validatedValues[0];
+  }
+
+  function validateValueType(name, definition, value) {
+    if (definition.discriminator) {
+      definition = resolveDiscriminator(name, definition, value);
+    }
+    if (definition.allOf) {
+      definition = utils.mergeAllOf(definition);
+    }
+    if (definition.oneOf) {
+      return validateAlternatives(name, definition, value, 'oneOf');
+    }
+    if (definition.anyOf) {
+      return validateAlternatives(name, definition, value, 'anyOf');
+    }
+
+    const type = definition.type;
+    const format = definition.format;
+    switch (type) {
+      case 'boolean':
+        return validateBoolean(name, type, format, value);
+      case 'integer':
+        return validateEnum(name, definition, value, validateNumberRange(name, definition, value, validateInteger(name, type, format, value)));
+      case 'number':
+        return validateEnum(name, definition, value, validateNumberRange(name, definition, value, validateNumber(name, type, format, value)));
+      case 'string':
+        return validateStringConstraints(name, definition, value, validateString(name, type, format, value));
+      case 'object':
+        return validateObject(name, definition, value);
+      case 'array':
+        return validateArray(name, definition, value);
+      case 'file':
+        return validateFile(name, definition, value);
+      default:
+        throw new TypeValidationError(name, type, format, value, `Unsupported type: '${type}'.`);
+    }
+  }
+
+  function validateDefault(name, definition) {
+    if (!applyDefaults || !definition || _.isUndefined(definition['default'])) {
+      return undefined;
+    }
+
+    return validateValue(name, definition, definition['default']);
+  }
+
+  function validateSchema(name, schema, value) {
+    if (!schema) {
+      throw new TypeValidationError(name, undefined, undefined, value, `Schema not found.`);
+    }
+
+    return validateValue(name, schema, value);
+  }
+
+  return {
+    validateValue   : validateValue,
+    validateSchema  : validateSchema,
+    validateDefault : validateDefault
+  };
+};
\ No newline at end of file
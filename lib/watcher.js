@@ -0,0 +1,36 @@
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+
+/* Editors tend to write files in several steps, only react once they're done: */
+const DELAY = 100;
+
+/*
+ * Watches the given files and directories (non-recursively) and calls 'onChange' once per burst of changes.
+ * Returns a function closing all watchers. Paths that can't be watched are reported via 'onError'.
+ */
+module.exports = function watch(paths, onChange, onError) {
+  let timeout;
+
+  function onEvent() {
+    clearTimeout(timeout);
+    timeout = setTimeout(onChange, DELAY);
+  }
+
+  const watchers = _.compact(_.map(_.uniq(paths), watchedPath => {
+    try {
+      const watcher = fs.watch(watchedPath, {persistent : false}, onEvent);
+      watcher.on('error', onError);
+      return watcher;
+    } catch (err) {
+      onError(err);
+      return undefined;
+    }
+  }));
+
+  return function close() {
+    clearTimeout(timeout);
+    _.forEach(watchers, watcher => watcher.close());
+  };
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports.getById = async function (ctx) {
+  ctx.body = await Promise.resolve({
+    id       : ctx.params.id,
+    produces : ctx.state.produces
+  });
+};
+
+module.exports.getInvalid = async function (ctx) {
+  ctx.body = {
+    id : 'NotAnIntegerButAString'
+  };
+};
\ No newline at end of file
@@ -7,6 +7,20 @@ module.exports.getByQueryISBN = function* () {
   };
 };
 
+module.exports.getValid = function* () {
+  this.body = {
+    id   : 'AAAAAAAA-BBBB-CCCC-DDDD-EEEEEEEEEEEE',
+    isbn : '978-1-84951-899-4'
+  };
+};
+
+module.exports.getInvalid = function* () {
+  this.body = {
+    id   : 'AAAAAAAA-BBBB-CCCC-DDDD-EEEEEEEEEEEE',
+    isbn : 7 // Should be a string!
+  };
+};
+
 module.exports.createFromBody = function* () {
   const body = this.request.body; // TODO Want this to be just "body" not "request.body" ?
   this.body = {
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports.createFromFormData = function* () {
+  this.body = {
+    title : this.request.body.title,
+    file  : this.request.files.file
+  };
+};
\ No newline at end of file
@@ -4,4 +4,17 @@ module.exports.get = function* () {
   this.body = {
     success : true
   };
+};
+
+module.exports.getProduces = function* () {
+  this.body = {
+    produces : this.state.produces
+  };
+};
+
+module.exports.getPrincipal = function* () {
+  this.body = {
+    principal  : this.state.principal,
+    principals : this.state.principals
+  };
 };
\ No newline at end of file
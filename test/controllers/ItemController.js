@@ -6,12 +6,27 @@ module.exports.getByQueryId = function* () {
   };
 };
 
+module.exports.getByQuery = function* () {
+  this.body = this.query;
+};
+
 module.exports.getByFormDataId = function* () {
   this.body = {
     id : this.request.body.id
   };
 };
 
+module.exports.getByHeaderId = function* () {
+  this.body = {
+    id  : this.request.headerParameters['x-item-id'],
+    raw : this.get('X-Item-Id')
+  };
+};
+
+module.exports.getByCookie = function* () {
+  this.body = this.request.cookies;
+};
+
 module.exports.getByPathId = function* () {
   this.body = {
     id : this.params.id
@@ -24,4 +39,18 @@ module.exports.getByPathABC = function* () {
     b : this.params.b,
     c : this.params.c
   };
+};
+
+module.exports.getWithRateLimitHeader = function* () {
+  this.set('X-Rate-Limit-Remaining', 42);
+  this.body = {};
+};
+
+module.exports.getWithInvalidRateLimitHeader = function* () {
+  this.set('X-Rate-Limit-Remaining', 'NotAnIntegerButAString');
+  this.body = {};
+};
+
+module.exports.getWithoutRateLimitHeader = function* () {
+  this.body = {};
 };
\ No newline at end of file
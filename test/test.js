@@ -2,6 +2,8 @@
 
 const debug = require('debug')('koa-spec-test');
 const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const mockery = require('mockery');
 const koa = require('koa');
@@ -37,6 +39,157 @@ describe('koaspec', function () {
 
       koaspec('test/data/simple.yaml', options);
     });
+
+    describe('load', function () {
+      it('loads the spec asynchronously.', function* () {
+        const spec = yield koaspec.load('test/data/ref.yaml', OPTIONS_TEST);
+        expect(spec.spec).to.be.an('object');
+        expect(spec.refs).to.be.an('object');
+        expect(spec.router).to.be.a('Function');
+
+        const actual = spec.spec.paths['/'].get.responses['200'].schema;
+        const expected = {
+          title : 'Index'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('rejects trying to load a missing file.', function* () {
+        yield expect(koaspec.load('test/data/missing.yaml', OPTIONS_TEST)).to.be.rejectedWith('ENOENT');
+      });
+
+      it('rejects trying to load an invalid yaml file.', function* () {
+        yield expect(koaspec.load('test/data/invalid_file.yaml', OPTIONS_TEST)).to.be.rejectedWith('a colon is missed');
+      });
+
+      it('rejects trying to load missing $refs.', function* () {
+        yield expect(koaspec.load('test/data/ref_unknown.yaml', OPTIONS_TEST)).to.be.rejectedWith('#/definitions/Unknown');
+      });
+
+      describe('dependencies', function () {
+        before(function () {
+          mockery.enable();
+          mockery.warnOnUnregistered(false);
+          mockery.registerMock('deasync', null);
+        });
+
+        it('does not require deasync.', function* () {
+          const spec = yield koaspec.load('test/data/simple.yaml', OPTIONS_TEST);
+          expect(spec.spec).to.be.an('object');
+        });
+
+        it('throws when deasync is not available loading the spec synchronously.', function* () {
+          expect(koaspec.bind(koaspec, 'test/data/simple.yaml', OPTIONS_TEST)).to.throw(`koaspec.load()`);
+        });
+
+        it('throws when deasync fails to load loading the spec synchronously.', function* () {
+          mockery.deregisterMock('deasync');
+          mockery.registerSubstitute('deasync', 'deasync-not-installed');
+
+          expect(koaspec.bind(koaspec, 'test/data/simple.yaml', OPTIONS_TEST)).to.throw(`koaspec.load()`);
+
+          mockery.deregisterSubstitute('deasync');
+        });
+
+        after(function () {
+          mockery.deregisterMock('deasync');
+          mockery.disable();
+        });
+      });
+    });
+
+    describe('watch', function () {
+      let directory;
+      let specPath;
+      let controllerDirectory;
+      let controllerPath;
+      let spec;
+      let onReload;
+
+      function writeController(version) {
+        fs.writeFileSync(controllerPath, `module.exports.get = function* () { this.body = { version : ${version} }; };`);
+      }
+
+      function nextReload() {
+        return new Promise(resolve => {
+          onReload = resolve;
+        });
+      }
+
+      function* createApp() {
+        spec = yield koaspec.load(specPath, {
+          watch         : true,
+          onReload      : err => onReload(err),
+          routerOptions : {
+            controllerDirectory : controllerDirectory
+          }
+        });
+        const app = koa();
+        app.use(spec.router().routes());
+        return supertest(http.createServer(app.callback()));
+      }
+
+      beforeEach(function () {
+        /* A directory per test, required controllers are cached by their path: */
+        directory = path.join(os.tmpdir(), `koa-spec-watch-${process.pid}-${Date.now()}`);
+        specPath = path.join(directory, 'watch.yaml');
+        controllerDirectory = path.join(directory, 'controllers');
+        controllerPath = path.join(controllerDirectory, 'WatchController.js');
+
+        fs.mkdirSync(directory);
+        fs.mkdirSync(controllerDirectory);
+        fs.writeFileSync(specPath, fs.readFileSync('test/data/watch.yaml'));
+        writeController(1);
+      });
+
+      it('rebuilds the router when the spec changes.', function* () {
+        const request = yield createApp();
+        yield request.get('/watch').expect(HTTPStatus.OK);
+
+        const reload = nextReload();
+        fs.writeFileSync(specPath, fs.readFileSync('test/data/watch.yaml', 'utf8').replace('/watch:', '/watched:'));
+        expect(yield reload).to.be.undefined;
+
+        expect(spec.spec.paths).to.have.all.keys('/watched');
+        yield request.get('/watch').expect(HTTPStatus.NOT_FOUND);
+        yield request.get('/watched').expect(HTTPStatus.OK);
+      });
+
+      it('reloads changed controllers.', function* () {
+        const request = yield createApp();
+
+        const reload = nextReload();
+        writeController(2);
+        expect(yield reload).to.be.undefined;
+
+        const res = yield request.get('/watch').expect(HTTPStatus.OK);
+        expect(res.body).to.deep.equal({
+          version : 2
+        });
+      });
+
+      it('keeps the previous router when reloading fails.', function* () {
+        const request = yield createApp();
+
+        const reload = nextReload();
+        fs.writeFileSync(specPath, fs.readFileSync('test/data/invalid_file.yaml'));
+        const err = yield reload;
+        expect(err.message).to.contain('a colon is missed');
+
+        const res = yield request.get('/watch').expect(HTTPStatus.OK);
+        expect(res.body).to.deep.equal({
+          version : 1
+        });
+      });
+
+      afterEach(function () {
+        spec.close();
+        fs.unlinkSync(controllerPath);
+        fs.rmdirSync(controllerDirectory);
+        fs.unlinkSync(specPath);
+        fs.rmdirSync(directory);
+      });
+    });
   });
 
   describe('parser', function () {
@@ -89,850 +242,4066 @@ describe('koaspec', function () {
         };
         expect(actual).to.containSubset(expected);
       });
-    });
-  });
 
-  describe('router', function () {
-    describe('dependencies', function () {
-      before(function () {
-        mockery.enable();
-        mockery.warnOnUnregistered(false);
-        mockery.registerMock('koa-router', null);
+      it('dereferences relative $refs relative to the spec file.', function () {
+        const spec = koaspec('test/data/ref_relative.yaml', OPTIONS_TEST);
+
+        const actual = spec.spec.paths['/'].get.responses['200'].schema;
+        const expected = {
+          title      : 'Index',
+          type       : 'object',
+          properties : {
+            hello : {
+              type    : 'string',
+              example : 'world'
+            }
+          }
+        };
+        expect(actual).to.containSubset(expected);
       });
 
-      it('throws when koa-router is not available.', function* () {
-        const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+      it('dereferences remote $refs via a custom loader, caching them.', function () {
+        const urls = [];
+        const options = _.merge({}, OPTIONS_TEST, {
+          refLoader : function (url) {
+            urls.push(url);
+            return fs.readFileSync(path.join(__dirname, 'data/definitions', path.basename(url)), 'utf8');
+          }
+        });
 
-        expect(spec.router.bind(spec)).to.throw(`koa-router`);
+        koaspec.clearRefCache();
+        koaspec('test/data/ref_remote.yaml', options);
+        const spec = koaspec('test/data/ref_remote.yaml', options);
+
+        const actual = spec.spec.paths['/'].get.responses['200'].schema;
+        const expected = {
+          title      : 'Index',
+          type       : 'object',
+          properties : {
+            hello : {
+              type    : 'string',
+              example : 'world'
+            }
+          }
+        };
+        expect(actual).to.containSubset(expected);
+        expect(urls).to.deep.equal([
+          'http://koa-spec.test/definitions/Index.yaml',
+          'http://koa-spec.test/definitions/Greeting.yaml'
+        ]);
       });
 
-      after(function () {
-        mockery.deregisterMock('koa-router');
-        mockery.disable();
+      it('throws when a custom loader fails to load remote $refs.', function () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          refLoader : function (url) {
+            return Promise.reject(new Error(`Not Found: ${url}`));
+          }
+        });
+
+        koaspec.clearRefCache();
+        expect(koaspec.bind(koaspec, 'test/data/ref_remote.yaml', options)).to.throw('Not Found: http://koa-spec.test/definitions/Index.yaml');
       });
     });
+  });
 
-    it('throws on an unknown method type.', function* () {
-      const spec = koaspec('test/data/unknown_method_type.yaml', OPTIONS_TEST);
+  describe('spec validation', function () {
+    it('throws for specs not valid against the Swagger 2.0 schema, listing all errors.', function* () {
+      try {
+        koaspec('test/data/invalid_spec.yaml', OPTIONS_TEST);
+      } catch (err) {
+        expect(err.name).to.equal('SpecValidationError');
+        expect(err.code).to.equal(ERROR_CODES.SPEC);
+        expect(err.message).to.contain('Additional properties not allowed: paramters');
+        expect(err.errors).to.have.length(2);
+        expect(err.errors).to.containSubset([
+          {
+            code : 'OBJECT_ADDITIONAL_PROPERTIES',
+            path : '#/paths/~1items/get'
+          },
+          {
+            code : 'ONE_OF_MISSING',
+            path : '#/paths/~1items~1{id}/get/parameters/0'
+          }
+        ]);
+        return;
+      }
+      throw new Error('Expected a SpecValidationError.');
+    });
 
-      expect(spec.router.bind(spec)).to.throw(`Method 'unknown' does not exist.`);
+    it('rejects loading specs not valid against the Swagger 2.0 schema.', function* () {
+      yield expect(koaspec.load('test/data/invalid_spec.yaml', OPTIONS_TEST)).to.be.rejectedWith('paramters');
     });
 
-    it('throws for an invalid controller directory.', function* () {
+    it('does not validate the spec if asked not to.', function* () {
       const options = _.merge({}, OPTIONS_TEST, {
-        routerOptions : {
-          controllerDirectory : 'invalid'
-        }
+        validateSpec : false
       });
 
-      const spec = koaspec('test/data/simple.yaml', options);
+      const spec = koaspec('test/data/invalid_spec.yaml', options);
+      expect(spec.spec).to.be.an('object');
+    });
 
-      expect(spec.router.bind(spec)).to.throw(`Controller directory 'invalid' does not exist.`);
+    describe('lint', function () {
+      it('lists all errors of an invalid spec.', function* () {
+        const actual = yield koaspec.lint('test/data/invalid_spec.yaml');
+        const expected = [
+          {
+            code    : 'OBJECT_ADDITIONAL_PROPERTIES',
+            message : 'Additional properties not allowed: paramters',
+            path    : '#/paths/~1items/get'
+          },
+          {
+            code : 'ONE_OF_MISSING',
+            path : '#/paths/~1items~1{id}/get/parameters/0'
+          }
+        ];
+        expect(actual).to.have.length(2);
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('lists no errors for a valid spec.', function* () {
+        const actual = yield koaspec.lint('test/data/simple.yaml');
+        expect(actual).to.deep.equal([]);
+      });
     });
+  });
 
-    it('uses the default controller directory.', function* () {
-      const options = _.cloneDeep(OPTIONS_TEST);
-      delete options.routerOptions.controllerDirectory;
+  describe('openapi 3.0', function () {
+    it('exposes the OpenAPI 3.0 document itself.', function* () {
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-      const spec = koaspec('test/data/simple.yaml', options);
+      expect(spec.spec.openapi).to.equal('3.0.0');
+      expect(spec.spec.paths['/items'].post.requestBody).to.be.an('object');
+    });
 
-      expect(spec.router.bind(spec)).to.throw(`Controller directory './controllers' does not exist.`);
+    it('throws for documents not valid against the OpenAPI 3.0 schema.', function* () {
+      expect(koaspec.bind(koaspec, 'test/data/invalid_openapi_3_0.yaml', OPTIONS_TEST)).to.throw('Additional properties not allowed: paramters');
     });
 
-    it('provides a simple route.', function* () {
+    it('supports (path level) parameters defined via schema.', function* () {
       const app = koa();
 
-      const spec = koaspec('test/data/simple.yaml', OPTIONS_TEST);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
+
       const router = spec.router();
       app.use(router.routes());
 
       const res = yield supertest(http.createServer(app.callback()))
-        .get('/')
+        .get('/items/1')
         .expect(HTTPStatus.OK);
 
       const actual = res.body;
       const expected = {
-        success : true
+        id : 1
       };
       expect(actual).to.containSubset(expected);
     });
 
-    it('throws for not implemented routes when strict mode is enabled.', function* () {
-      const spec = koaspec('test/data/unknown_controller_method.yaml', OPTIONS_TEST);
+    it('detects invalid parameters defined via schema.', function* () {
+      const app = koa();
 
-      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
-    });
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-    it('throws for controller that can not be found when strict mode is enabled.', function* () {
-      const spec = koaspec('test/data/unknown_controller.yaml', OPTIONS_TEST);
+      const router = spec.router();
+      app.use(router.routes());
 
-      expect(spec.router.bind(spec)).to.throw(`Controller 'UnknownControllerName' does not exist.`);
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/items/NotAnIntegerButAString')
+        .expect(HTTPStatus.BAD_REQUEST);
+
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.VALIDATION_TYPE
+      };
+      expect(actual).to.containSubset(expected);
     });
 
-    it('throws for controller method that can not be found when strict mode is enabled.', function* () {
-      const spec = koaspec('test/data/unknown_controller_method.yaml', OPTIONS_TEST);
+    it('parses array parameters according to style and explode.', function* () {
+      const app = koa();
 
-      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
-    });
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-    it('throws for not defining a controller when strict mode is enabled.', function* () {
-      const spec = koaspec('test/data/no_controller.yaml', OPTIONS_TEST);
+      const router = spec.router();
+      app.use(router.routes());
 
-      expect(spec.router.bind(spec)).to.throw(`Controller name not specified.`);
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/items?ids=1&ids=2&tags=a,b')
+        .expect(HTTPStatus.OK);
+
+      const actual = res.body;
+      const expected = {
+        ids  : [1, 2],
+        tags : ['a', 'b']
+      };
+      expect(actual).to.containSubset(expected);
     });
 
-    it('throws for not defining a controller method when strict mode is enabled.', function* () {
-      const spec = koaspec('test/data/no_controller_method.yaml', OPTIONS_TEST);
+    it('supports cookie parameters.', function* () {
+      const app = koa();
 
-      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' method name not specified.`);
-    });
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-    it('uses strict mode by default.', function* () {
-      const options = _.cloneDeep(OPTIONS_TEST);
-      delete options.routerOptions.strictMode;
+      const router = spec.router();
+      app.use(router.routes());
 
-      const spec = koaspec('test/data/unknown_controller_method.yaml', options);
-      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/preferences')
+        .set('Cookie', 'pageSize=25; tags=a,b')
+        .expect(HTTPStatus.OK);
+
+      const actual = res.body;
+      const expected = {
+        pageSize : 25,
+        tags     : ['a', 'b']
+      };
+      expect(actual).to.deep.equal(expected);
     });
 
-    it('provides fallback for not implemented routes (unknown controller) when strict mode is disabled.', function* () {
+    it('detects missing or invalid cookie parameters.', function* () {
       const app = koa();
 
-      const options = _.merge({}, OPTIONS_TEST, {
-        routerOptions : {
-          strictMode : false
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
+
+      const router = spec.router();
+      app.use(router.routes());
+
+      const request = supertest(http.createServer(app.callback()));
+
+      const res = yield request
+        .get('/preferences')
+        .expect(HTTPStatus.BAD_REQUEST);
+
+      expect(res.body).to.containSubset({
+        code      : ERROR_CODES.VALIDATION_REQUIRED,
+        parameter : {
+          expected : {
+            name : 'pageSize',
+            in   : 'cookie'
+          }
         }
       });
-      const spec = koaspec('test/data/unknown_controller.yaml', options);
+
+      yield request
+        .get('/preferences')
+        .set('Cookie', 'pageSize=NotAnIntegerButAString')
+        .expect(HTTPStatus.BAD_REQUEST);
+    });
+
+    it('negotiates the response content media types.', function* () {
+      const app = koa();
+
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
+
+      const router = spec.router();
+      app.use(router.routes());
+
+      yield supertest(http.createServer(app.callback()))
+        .get('/items/1')
+        .set('Accept', 'text/html')
+        .expect(HTTPStatus.NOT_ACCEPTABLE);
+    });
+
+    it('validates the requestBody, supporting nullable.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
+
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
       const router = spec.router();
       app.use(router.routes());
 
       const res = yield supertest(http.createServer(app.callback()))
-        .get('/')
-        .expect(HTTPStatus.NOT_IMPLEMENTED);
+        .post('/items')
+        .send({
+          id   : 1,
+          name : null
+        })
+        .expect(HTTPStatus.OK);
 
       const actual = res.body;
       const expected = {
-        code : ERROR_CODES.ROUTE_NOT_IMPLEMENTED
+        id   : 1,
+        name : null
       };
       expect(actual).to.containSubset(expected);
     });
 
-    it('provides fallback for not implemented routes (unknown controller method) when strict mode is disabled.', function* () {
+    it('detects an invalid requestBody.', function* () {
       const app = koa();
+      app.use(require('koa-bodyparser')());
 
-      const options = _.merge({}, OPTIONS_TEST, {
-        routerOptions : {
-          strictMode : false
-        }
-      });
-      const spec = koaspec('test/data/unknown_controller_method.yaml', options);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
       const router = spec.router();
       app.use(router.routes());
 
       const res = yield supertest(http.createServer(app.callback()))
-        .get('/')
-        .expect(HTTPStatus.NOT_IMPLEMENTED);
+        .post('/items')
+        .send({
+          name : 'Item'
+        })
+        .expect(HTTPStatus.BAD_REQUEST);
 
       const actual = res.body;
       const expected = {
-        code : ERROR_CODES.ROUTE_NOT_IMPLEMENTED
+        code : ERROR_CODES.VALIDATION_REQUIRED
       };
       expect(actual).to.containSubset(expected);
     });
 
-    it('ignores unknown routes.', function* () {
+    it('detects a requestBody of an unsupported media type.', function* () {
       const app = koa();
+      app.use(require('koa-bodyparser')());
 
-      const spec = koaspec('test/data/simple.yaml', OPTIONS_TEST);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
       const router = spec.router();
       app.use(router.routes());
 
       yield supertest(http.createServer(app.callback()))
-        .get('/unknown')
-        .expect(HTTPStatus.NOT_FOUND);
+        .post('/items')
+        .type('form')
+        .send({
+          id : 1
+        })
+        .expect(HTTPStatus.UNSUPPORTED_MEDIA_TYPE);
     });
 
-    describe('parameter', function () {
-      describe.skip('header', function () {
-        // TODO ....
-      });
+    it('supports oneOf.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-      describe('path', function () {
-        it('supports a single path parameter.', function* () {
-          const app = koa();
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const spec = koaspec('test/data/path_parameter_integer_int32_single.yaml', OPTIONS_TEST);
+      const router = spec.router();
+      app.use(router.routes());
 
-          const router = spec.router();
-          app.use(router.routes());
+      const res = yield supertest(http.createServer(app.callback()))
+        .post('/items')
+        .send({
+          id   : 1,
+          code : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
+        })
+        .expect(HTTPStatus.OK);
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items/1')
-            .expect(HTTPStatus.OK);
+      const actual = res.body;
+      const expected = {
+        code : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
+      };
+      expect(actual).to.containSubset(expected);
+    });
 
-          const actual = res.body;
-          const expected = {
-            id : 1
-          };
-          expect(actual).to.containSubset(expected);
-        });
+    it('matches oneOf body values by their type.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-        it('supports multiple path parameters.', function* () {
-          const app = koa();
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const spec = koaspec('test/data/path_parameter_integer_int32_multiple.yaml', OPTIONS_TEST);
+      const router = spec.router();
+      app.use(router.routes());
 
-          const router = spec.router();
-          app.use(router.routes());
+      const request = supertest(http.createServer(app.callback()));
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items/1/2/3')
-            .expect(HTTPStatus.OK);
+      const stringRes = yield request
+        .post('/items')
+        .send({
+          id        : 1,
+          reference : '5'
+        })
+        .expect(HTTPStatus.OK);
 
-          const actual = res.body;
-          const expected = {
-            a : 1,
-            b : 2,
-            c : 3
-          };
-          expect(actual).to.containSubset(expected);
-        });
-      });
+      expect(stringRes.body.reference).to.equal('5');
 
-      describe('query', function () {
-        it('supports boolean query parameters.', function* () {
-          const app = koa();
+      const integerRes = yield request
+        .post('/items')
+        .send({
+          id        : 1,
+          reference : 5
+        })
+        .expect(HTTPStatus.OK);
 
-          const spec = koaspec('test/data/query_parameter_boolean.yaml', OPTIONS_TEST);
+      expect(integerRes.body.reference).to.equal(5);
+    });
 
-          const router = spec.router();
-          app.use(router.routes());
+    it('detects values matching none of oneOf.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : true
-            })
-            .expect(HTTPStatus.OK);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
-          const expected = {
-            id : true
-          };
-          expect(actual).to.containSubset(expected);
-        });
+      const router = spec.router();
+      app.use(router.routes());
 
-        it('supports integer (int32) query parameters.', function* () {
-          const app = koa();
+      const res = yield supertest(http.createServer(app.callback()))
+        .post('/items')
+        .send({
+          id   : 1,
+          code : 'NotAUUIDButARandomString'
+        })
+        .expect(HTTPStatus.BAD_REQUEST);
 
-          const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.VALIDATION_TYPE
+      };
+      expect(actual).to.containSubset(expected);
+    });
 
-          const router = spec.router();
-          app.use(router.routes());
+    it('supports discriminator objects with a mapping.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : 1
-            })
-            .expect(HTTPStatus.OK);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
-          const expected = {
-            id : 1
-          };
-          expect(actual).to.containSubset(expected);
-        });
+      const router = spec.router();
+      app.use(router.routes());
 
-        it('supports integer (int64) query parameters.', function* () {
-          const app = koa();
+      const res = yield supertest(http.createServer(app.callback()))
+        .post('/pets')
+        .send({
+          petType : 'dog',
+          name    : 'Rex',
+          bark    : true
+        })
+        .expect(HTTPStatus.OK);
 
-          const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+      const actual = res.body;
+      const expected = {
+        petType : 'dog',
+        name    : 'Rex',
+        bark    : true
+      };
+      expect(actual).to.containSubset(expected);
+    });
 
-          const router = spec.router();
-          app.use(router.routes());
+    it('validates against the discriminated schema.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : Number.MAX_SAFE_INTEGER
-            })
-            .expect(HTTPStatus.OK);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
-          const expected = {
-            id : Number.MAX_SAFE_INTEGER
-          };
-          expect(actual).to.containSubset(expected);
-        });
+      const router = spec.router();
+      app.use(router.routes());
 
-        it('supports number (float) query parameters.', function* () {
-          const app = koa();
+      const res = yield supertest(http.createServer(app.callback()))
+        .post('/pets')
+        .send({
+          petType : 'cat',
+          name    : 'Tom',
+          lives   : 10
+        })
+        .expect(HTTPStatus.BAD_REQUEST);
 
-          const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.VALIDATION_RANGE
+      };
+      expect(actual).to.containSubset(expected);
+    });
 
-          const router = spec.router();
-          app.use(router.routes());
+    it('detects unknown discriminator values.', function* () {
+      const app = koa();
+      app.use(require('koa-bodyparser')());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : 3.14159
-            })
-            .expect(HTTPStatus.OK);
+      const spec = koaspec('test/data/openapi_3_0.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
-          const expected = {
-            id : 3.14159
-          };
-          expect(actual).to.containSubset(expected);
-        });
+      const router = spec.router();
+      app.use(router.routes());
 
-        it('supports number (double) query parameters.', function* () {
-          const app = koa();
+      const res = yield supertest(http.createServer(app.callback()))
+        .post('/pets')
+        .send({
+          petType : 'cow',
+          name    : 'Bessie'
+        })
+        .expect(HTTPStatus.BAD_REQUEST);
 
-          const spec = koaspec('test/data/query_parameter_number_double.yaml', OPTIONS_TEST);
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.VALIDATION_TYPE
+      };
+      expect(actual).to.containSubset(expected);
+    });
+  });
 
-          const router = spec.router();
-          app.use(router.routes());
+  describe('router', function () {
+    describe('dependencies', function () {
+      before(function () {
+        mockery.enable();
+        mockery.warnOnUnregistered(false);
+        mockery.registerMock('koa-router', null);
+      });
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : Number.MAX_VALUE
-            })
-            .expect(HTTPStatus.OK);
+      it('throws when koa-router is not available.', function* () {
+        const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
-          const expected = {
-            id : Number.MAX_VALUE
-          };
-          expect(actual).to.containSubset(expected);
-        });
+        expect(spec.router.bind(spec)).to.throw(`koa-router`);
+      });
 
-        it('supports string (date-time) query parameters.', function* () {
-          const app = koa();
+      it('throws when koa-router is not installed.', function* () {
+        mockery.deregisterMock('koa-router');
+        mockery.registerSubstitute('koa-router', 'koa-router-not-installed');
 
-          const spec = koaspec('test/data/query_parameter_string_datetime.yaml', OPTIONS_TEST);
+        const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
 
-          const router = spec.router();
-          app.use(router.routes());
+        expect(spec.router.bind(spec)).to.throw(`Module 'koa-router' isn't available.`);
 
-          const date = new Date();
+        mockery.deregisterSubstitute('koa-router');
+      });
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/citizens')
-            .query({
-              date_of_birth : date.toISOString()
-            })
-            .expect(HTTPStatus.OK);
+      after(function () {
+        mockery.deregisterMock('koa-router');
+        mockery.disable();
+      });
+    });
 
-          const actual = res.body;
-          const expected = {
-            date_of_birth : date.toISOString()
-          };
-          expect(actual).to.containSubset(expected);
-        });
+    it('throws on an unknown method type.', function* () {
+      const options = _.merge({}, OPTIONS_TEST, {
+        validateSpec : false
+      });
+      const spec = koaspec('test/data/unknown_method_type.yaml', options);
 
-        it('supports string (uuid) query parameters.', function* () {
-          const app = koa();
+      expect(spec.router.bind(spec)).to.throw(`Method 'unknown' does not exist.`);
+    });
 
-          const spec = koaspec('test/data/query_parameter_string_uuid.yaml', OPTIONS_TEST);
+    it('throws for an invalid controller directory.', function* () {
+      const options = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          controllerDirectory : 'invalid'
+        }
+      });
 
-          const router = spec.router();
-          app.use(router.routes());
+      const spec = koaspec('test/data/simple.yaml', options);
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/items')
-            .query({
-              id : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
-            })
-            .expect(HTTPStatus.OK);
+      expect(spec.router.bind(spec)).to.throw(`Controller directory 'invalid' does not exist.`);
+    });
 
-          const actual = res.body;
-          const expected = {
-            id : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
-          };
-          expect(actual).to.containSubset(expected);
-        });
+    it('uses the default controller directory.', function* () {
+      const options = _.cloneDeep(OPTIONS_TEST);
+      delete options.routerOptions.controllerDirectory;
 
-        it('supports string (isbn) query parameters.', function* () {
-          const app = koa();
+      const spec = koaspec('test/data/simple.yaml', options);
 
-          const spec = koaspec('test/data/query_parameter_string_isbn.yaml', OPTIONS_TEST);
+      expect(spec.router.bind(spec)).to.throw(`Controller directory './controllers' does not exist.`);
+    });
 
-          const router = spec.router();
-          app.use(router.routes());
+    it('provides a simple route.', function* () {
+      const app = koa();
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .get('/books')
-            .query({
-              isbn : '978-1-84951-899-4'
-            })
-            .expect(HTTPStatus.OK);
+      const spec = koaspec('test/data/simple.yaml', OPTIONS_TEST);
+      const router = spec.router();
+      app.use(router.routes());
 
-          const actual = res.body;
-          const expected = {
-            isbn : '978-1-84951-899-4'
-          };
-          expect(actual).to.containSubset(expected);
-        });
-      });
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/')
+        .expect(HTTPStatus.OK);
 
-      describe('body', function () {
-        describe('dependencies', function () {
-          before(function () {
-            mockery.enable();
-            mockery.warnOnUnregistered(false);
-            mockery.registerMock('koa-bodyparser', null);
-          });
+      const actual = res.body;
+      const expected = {
+        success : true
+      };
+      expect(actual).to.containSubset(expected);
+    });
 
-          it('throws when koa-bodyparser is not available and a body parameter is defined.', function* () {
-            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+    describe('base path', function () {
+      it('prefixes routes with the basePath.', function* () {
+        const app = koa();
 
-            expect(spec.router.bind(spec)).to.throw(`koa-bodyparser`);
-          });
-
-          after(function () {
-            mockery.deregisterMock('koa-bodyparser');
-            mockery.disable();
-          });
-        });
+        const spec = koaspec('test/data/base_path.yaml', OPTIONS_TEST);
+        const router = spec.router();
+        app.use(router.routes());
 
-        it('supports simple object body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
-
-          app.use(bodyParser());
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/v1/')
+          .expect(HTTPStatus.OK);
 
-          const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+        const actual = res.body;
+        const expected = {
+          success : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-          const router = spec.router();
-          app.use(router.routes());
+      it('does not serve routes outside of the basePath.', function* () {
+        const app = koa();
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/books')
-            .send({
-              isbn : '978-1-84951-899-4'
-            })
-            .expect(HTTPStatus.OK);
+        const spec = koaspec('test/data/base_path.yaml', OPTIONS_TEST);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const actual = res.body;
+        yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.NOT_FOUND);
+      });
 
-          const expected = {
-            id   : 1,
-            isbn : '978-1-84951-899-4'
-          };
-          expect(actual).to.containSubset(expected);
+      it('overrides the basePath via options.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            basePath : '/api/'
+          }
         });
 
-        it('supports complex object body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+        const spec = koaspec('test/data/base_path.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
 
-          app.use(bodyParser());
+        yield supertest(http.createServer(app.callback()))
+          .get('/api/')
+          .expect(HTTPStatus.OK);
+      });
 
-          const spec = koaspec('test/data/body_parameter_object_nested_object.yaml', OPTIONS_TEST);
+      it('disables the basePath via options.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            basePath : false
+          }
+        });
 
-          const router = spec.router();
-          app.use(router.routes());
+        const spec = koaspec('test/data/base_path.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/books')
-            .send({
-              isbn      : '978-1-84951-899-4',
-              publisher : {
-                name : 'Packt Publishing'
-              }
-            })
-            .expect(HTTPStatus.OK);
+        yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+      });
 
-          const actual = res.body;
+      it('throws for an invalid basePath option.', function* () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            basePath : 1
+          }
+        });
+        const spec = koaspec('test/data/base_path.yaml', options);
 
-          const expected = {
-            id        : 1,
-            isbn      : '978-1-84951-899-4',
-            publisher : {
-              name : 'Packt Publishing'
-            }
-          };
-          expect(actual).to.containSubset(expected);
+        expect(spec.router.bind(spec)).to.throw(`Base path '1' must be a string.`);
+      });
+
+      it('serves requests for the declared host and schemes.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            validateHost : true
+          }
         });
 
-        it('supports circular object body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+        const spec = koaspec('test/data/base_path.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
 
-          app.use(bodyParser());
+        yield supertest(http.createServer(app.callback()))
+          .get('/v1/')
+          .set('Host', 'API.example.com')
+          .expect(HTTPStatus.OK);
+      });
 
-          const spec = koaspec('test/data/body_parameter_object_circular_object.yaml', OPTIONS_TEST);
+      it('detects requests for a different host.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            validateHost : true
+          }
+        });
 
-          const router = spec.router();
-          app.use(router.routes());
+        const spec = koaspec('test/data/base_path.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/persons')
-            .send({
-              id     : 1,
-              name   : 'Child',
-              father : {
-                id     : 2,
-                name   : 'Father',
-                mother : {
-                  id   : 3,
-                  name : 'Grandmother'
-                }
-              }
-            })
-            .expect(HTTPStatus.OK);
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/v1/')
+          .set('Host', 'www.example.com')
+          .expect(HTTPStatus.NOT_FOUND);
 
-          const actual = res.body;
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.VALIDATION_HOST,
+          host : {
+            expected : 'api.example.com',
+            actual   : 'www.example.com'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-          const expected = {
-            id     : 1,
-            name   : 'Child',
-            father : {
-              id     : 2,
-              name   : 'Father',
-              mother : {
-                id   : 3,
-                name : 'Grandmother'
-              }
-            }
-          };
-          expect(actual).to.containSubset(expected);
+      it('detects requests using an undeclared scheme.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            validateHost : true
+          }
         });
 
-        it('supports simple array body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+        const spec = koaspec('test/data/base_path.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
 
-          app.use(bodyParser());
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/v1/secure')
+          .set('Host', 'api.example.com')
+          .expect(HTTPStatus.NOT_FOUND);
 
-          const spec = koaspec('test/data/body_parameter_array.yaml', OPTIONS_TEST);
+        const actual = res.body;
+        const expected = {
+          code   : ERROR_CODES.VALIDATION_SCHEME,
+          scheme : {
+            expected : ['https'],
+            actual   : 'http'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-          const router = spec.router();
-          app.use(router.routes());
+      it('ignores host and schemes by default.', function* () {
+        const app = koa();
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/books/many')
-            .send([
-              {
-                isbn : '978-1-84951-899-4'
-              },
-              {
-                isbn : '978-1-78398-596-8'
-              }
-            ])
-            .expect(HTTPStatus.OK);
+        const spec = koaspec('test/data/base_path.yaml', OPTIONS_TEST);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const actual = res.body;
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/v1/secure')
+          .set('Host', 'www.example.com')
+          .expect(HTTPStatus.OK);
+      });
+    });
 
-          const expected = [
-            {
-              id   : 1,
-              isbn : '978-1-84951-899-4'
+    describe('security', function () {
+      const OPTIONS_SECURITY = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          securityHandlers : {
+            api_key       : function (apiKey) {
+              return (apiKey === 'secret') ? {name : 'api_key'} : false;
             },
-            {
-              id   : 2,
-              isbn : '978-1-78398-596-8'
+            api_key_query : function (apiKey) {
+              return (apiKey === 'secret') ? {name : 'api_key_query'} : false;
+            },
+            basic         : function* (credentials) {
+              return (credentials.username === 'user' && credentials.password === 'pa:ss') ? {name : credentials.username} : null;
+            },
+            oauth         : function (token) {
+              const scopes = {
+                'read-token'  : ['read'],
+                'admin-token' : 'read write'
+              };
+              return Promise.resolve(scopes[token] ? {scopes : scopes[token]} : undefined);
             }
-          ];
-          expect(actual).to.containSubset(expected);
-        });
+          }
+        }
+      });
 
-        it('supports complex array body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+      it('rejects requests without credentials.', function* () {
+        const app = koa();
 
-          app.use(bodyParser());
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const spec = koaspec('test/data/body_parameter_array_nested_array.yaml', OPTIONS_TEST);
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.UNAUTHORIZED);
 
-          const router = spec.router();
-          app.use(router.routes());
+        const actual = res.body;
+        const expected = {
+          code     : ERROR_CODES.AUTHENTICATION,
+          security : {
+            expected : [{api_key : []}]
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/books/many')
-            .send([
-              {
-                isbn    : '978-1-84951-899-4',
-                authors : [
-                  {
-                    first_name : 'Jayme',
-                    last_name  : 'Schroeder'
-                  },
-                  {
-                    first_name : 'Brian',
-                    last_name  : 'Boyles'
-                  }
-                ]
-              },
-              {
-                isbn    : '978-1-78398-596-8',
-                authors : [
-                  {
-                    first_name : 'Maya',
-                    last_name  : 'Posch'
-                  }
-                ]
-              }
-            ])
-            .expect(HTTPStatus.OK);
+      it('rejects requests with invalid credentials.', function* () {
+        const app = koa();
 
-          const actual = res.body;
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const expected = [{
-            id      : 1,
-            isbn    : '978-1-84951-899-4',
-            authors : [
-              {
-                first_name : 'Jayme',
-                last_name  : 'Schroeder'
-              },
-              {
-                first_name : 'Brian',
-                last_name  : 'Boyles'
-              }
-            ]
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .set('X-API-Key', 'invalid')
+          .expect(HTTPStatus.UNAUTHORIZED);
+
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.AUTHENTICATION
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('provides the principal of a header api key.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .set('X-API-Key', 'secret')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          principal  : {
+            name : 'api_key'
           },
-            {
-              id      : 2,
-              isbn    : '978-1-78398-596-8',
-              authors : [
-                {
-                  first_name : 'Maya',
-                  last_name  : 'Posch'
-                }
-              ]
+          principals : {
+            api_key : {
+              name : 'api_key'
             }
-          ];
-          expect(actual).to.containSubset(expected);
-        });
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-        it('supports circular array body parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+      it('supports query api keys.', function* () {
+        const app = koa();
 
-          app.use(bodyParser());
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const spec = koaspec('test/data/body_parameter_array_circular_array.yaml', OPTIONS_TEST);
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/query?api_key=secret')
+          .expect(HTTPStatus.OK);
 
-          const router = spec.router();
-          app.use(router.routes());
+        const actual = res.body;
+        const expected = {
+          principal : {
+            name : 'api_key_query'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/persons')
-            .send({
-              id        : 1,
-              name      : 'Child',
-              relatives : [
-                {
-                  id        : 2,
-                  name      : 'Father',
-                  relatives : [
-                    {
-                      id   : 3,
-                      name : 'Grandmother'
-                    }
-                  ]
-                }
-              ]
-            })
-            .expect(HTTPStatus.OK);
+      it('supports basic authentication.', function* () {
+        const app = koa();
 
-          const actual = res.body;
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
 
-          const expected = {
-            id        : 1,
-            name      : 'Child',
-            relatives : [
-              {
-                id        : 2,
-                name      : 'Father',
-                relatives : [
-                  {
-                    id   : 3,
-                    name : 'Grandmother'
-                  }
-                ]
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/basic')
+          .auth('user', 'pa:ss')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          principal : {
+            name : 'user'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('challenges requests lacking basic authentication.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/basic')
+          .expect('WWW-Authenticate', 'Basic')
+          .expect(HTTPStatus.UNAUTHORIZED);
+      });
+
+      it('supports oauth2 bearer tokens with scopes.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/oauth')
+          .set('Authorization', 'Bearer admin-token')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          principal : {
+            scopes : 'read write'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('forbids oauth2 bearer tokens lacking scopes.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/oauth')
+          .set('Authorization', 'Bearer read-token')
+          .expect(HTTPStatus.FORBIDDEN);
+
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.AUTHORIZATION
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('accepts any of the security requirements.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/either')
+          .set('X-API-Key', 'secret')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          principal : {
+            name : 'api_key'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('overrides the global security per operation.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_SECURITY);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/public')
+          .expect(HTTPStatus.OK);
+      });
+
+      it('throws when a security handler is not specified.', function* () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            securityHandlers : {}
+          }
+        });
+        const spec = koaspec('test/data/security.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Security handler for 'api_key' not specified.`);
+      });
+
+      it('throws when a security handler is not specified and security is enforced.', function* () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            enforceSecurity : true
+          }
+        });
+        const spec = koaspec('test/data/security.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Security handler for 'api_key' not specified.`);
+      });
+
+      it('does not enforce security without security handlers.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/security.yaml', OPTIONS_TEST);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+      });
+
+      it('does not enforce security if asked not to.', function* () {
+        const app = koa();
+
+        const options = _.merge({}, OPTIONS_SECURITY, {
+          routerOptions : {
+            enforceSecurity : false
+          }
+        });
+        const spec = koaspec('test/data/security.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+      });
+
+      it('supports async function security handlers.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_SECURITY, {
+          routerOptions : {
+            securityHandlers : {
+              api_key : async function (apiKey) {
+                return (apiKey === 'secret') ? {name : 'async'} : false;
               }
-            ]
-          };
-          expect(actual).to.containSubset(expected);
+            }
+          }
         });
 
-        it('supports arrays with primitive (non-object) items.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+        const spec = koaspec('test/data/security.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .set('X-API-Key', 'secret')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          principal : {
+            name : 'async'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('throws for a security handler that is not a function.', function* () {
+        const options = _.merge({}, OPTIONS_SECURITY, {
+          routerOptions : {
+            securityHandlers : {
+              api_key : 'secret'
+            }
+          }
+        });
+        const spec = koaspec('test/data/security.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Security handler 'api_key' must be a function.`);
+      });
+
+      it('throws for an unknown security definition.', function* () {
+        const spec = koaspec('test/data/invalid_security_definition.yaml', OPTIONS_TEST);
+
+        expect(spec.router.bind(spec)).to.throw(`Security definition 'unknown' does not exist.`);
+      });
+    });
+
+    describe('mock', function () {
+      const OPTIONS_MOCK = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          strictMode : false,
+          mock       : true
+        }
+      });
+
+      it('synthesizes responses from the response schema.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/books')
+          .expect('X-Total-Count', '1')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = [{
+          id        : '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+          isbn      : '9780306406157',
+          title     : 'stringxxxx',
+          published : '2016-01-01',
+          genre     : 'fiction',
+          pages     : 2,
+          price     : 9.99
+        }];
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('synthesizes responses passing response validation.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_MOCK, {
+          routerOptions : {
+            responseValidation : 'throw'
+          }
+        });
+
+        const spec = koaspec('test/data/mock.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/books')
+          .expect(HTTPStatus.OK);
+      });
+
+      it('stops at circular references.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/persons')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          name   : 'string',
+          father : {
+            name : 'string'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('responds with the examples of the response.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/books/1')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          id    : 1,
+          title : 'Example'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('responds with the example of the negotiated media type.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/books/1')
+          .set('Accept', 'text/plain')
+          .expect('Content-Type', /text\/plain/)
+          .expect(HTTPStatus.OK);
+
+        expect(res.text).to.equal('Example');
+      });
+
+      it('responds with the x-example of the first 2xx response.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .post('/books')
+          .expect(HTTPStatus.CREATED);
+
+        const actual = res.body;
+        const expected = {
+          id    : 7,
+          title : 'Created'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('responds without a body for responses without a schema.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .delete('/books/1')
+          .expect(HTTPStatus.NO_CONTENT);
+      });
+
+      it('mocks implemented routes enabled via x-mock.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          mocked : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('does not mock routes disabled via x-mock.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/mock.yaml', OPTIONS_MOCK);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/disabled')
+          .expect(HTTPStatus.NOT_IMPLEMENTED);
+      });
+
+      it('does not mock by default.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            strictMode : false
+          }
+        });
+
+        const spec = koaspec('test/data/mock.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/books')
+          .expect(HTTPStatus.NOT_IMPLEMENTED);
+      });
+    });
+
+    describe('koa 2', function () {
+      const Koa2 = require('koa2');
+      const OPTIONS_KOA2 = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          strictMode : false,
+          koaVersion : 2
+        }
+      });
+
+      before(function () {
+        mockery.enable();
+        mockery.warnOnUnregistered(false);
+        mockery.registerMock('koa-router', require('koa-router7'));
+      });
+
+      it('routes to async function controllers.', function* () {
+        const app = new Koa2();
+
+        const spec = koaspec('test/data/koa2.yaml', OPTIONS_KOA2);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/items/1')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          id       : 1,
+          produces : 'application/json'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('validates parameters.', function* () {
+        const app = new Koa2();
+
+        const spec = koaspec('test/data/koa2.yaml', OPTIONS_KOA2);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/items/NotAnIntegerButAString')
+          .expect(HTTPStatus.BAD_REQUEST);
+
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.VALIDATION_TYPE
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('negotiates the produced media types.', function* () {
+        const app = new Koa2();
+
+        const spec = koaspec('test/data/koa2.yaml', OPTIONS_KOA2);
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/items/1')
+          .set('Accept', 'text/html')
+          .expect(HTTPStatus.NOT_ACCEPTABLE);
+      });
+
+      it('supports generator function controllers.', function* () {
+        const app = new Koa2();
+
+        const spec = koaspec('test/data/koa2.yaml', OPTIONS_KOA2);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          success : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('validates responses.', function* () {
+        const app = new Koa2();
+        const options = _.merge({}, OPTIONS_KOA2, {
+          routerOptions : {
+            responseValidation : 'throw'
+          }
+        });
+
+        const spec = koaspec('test/data/koa2.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/invalid')
+          .expect(HTTPStatus.INTERNAL_SERVER_ERROR);
+
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.VALIDATION_TYPE
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('responds to not implemented routes.', function* () {
+        const app = new Koa2();
+
+        const spec = koaspec('test/data/koa2.yaml', OPTIONS_KOA2);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/missing')
+          .expect(HTTPStatus.NOT_IMPLEMENTED);
+
+        const actual = res.body;
+        const expected = {
+          code : ERROR_CODES.ROUTE_NOT_IMPLEMENTED
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('throws for an unknown koa version.', function* () {
+        const options = _.merge({}, OPTIONS_KOA2, {
+          routerOptions : {
+            koaVersion : 3
+          }
+        });
+        const spec = koaspec('test/data/koa2.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Unknown koa version '3'.`);
+      });
+
+      after(function () {
+        mockery.deregisterMock('koa-router');
+        mockery.disable();
+      });
+    });
+
+    describe('controller resolver', function () {
+      it('resolves controllers from the operationId.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : 'operationId'
+          }
+        });
+
+        const spec = koaspec('test/data/controller_resolver_operation_id.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          success : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('prefers the vendor extensions over the operationId.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : 'operationId'
+          }
+        });
+
+        const spec = koaspec('test/data/controller_resolver_operation_id.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/books')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          id : 'AAAAAAAA-BBBB-CCCC-DDDD-EEEEEEEEEEEE'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('resolves controllers from the first tag.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : 'tags'
+          }
+        });
+
+        const spec = koaspec('test/data/controller_resolver_tags.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          success : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('resolves controllers via a custom resolver.', function* () {
+        const app = koa();
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : function (methodInfo, method, route) {
+              return {
+                controller : `${methodInfo.tags[1]}Controller`,
+                method     : method
+              };
+            }
+          }
+        });
+
+        const spec = koaspec('test/data/controller_resolver_tags.yaml', options);
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          success : true
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('throws when the operationId does not name a controller.', function* () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : 'operationId'
+          }
+        });
+        const spec = koaspec('test/data/controller_resolver_tags.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Controller name not specified.`);
+      });
+
+      it('throws for an unknown controller resolver.', function* () {
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            controllerResolver : 'unknown'
+          }
+        });
+        const spec = koaspec('test/data/simple.yaml', options);
+
+        expect(spec.router.bind(spec)).to.throw(`Unknown controller resolver 'unknown'.`);
+      });
+    });
+
+    it('throws for not implemented routes when strict mode is enabled.', function* () {
+      const spec = koaspec('test/data/unknown_controller_method.yaml', OPTIONS_TEST);
+
+      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
+    });
+
+    it('throws for controller that can not be found when strict mode is enabled.', function* () {
+      const spec = koaspec('test/data/unknown_controller.yaml', OPTIONS_TEST);
+
+      expect(spec.router.bind(spec)).to.throw(`Controller 'UnknownControllerName' does not exist.`);
+    });
+
+    it('throws for controller method that can not be found when strict mode is enabled.', function* () {
+      const spec = koaspec('test/data/unknown_controller_method.yaml', OPTIONS_TEST);
+
+      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
+    });
+
+    it('throws for not defining a controller when strict mode is enabled.', function* () {
+      const spec = koaspec('test/data/no_controller.yaml', OPTIONS_TEST);
+
+      expect(spec.router.bind(spec)).to.throw(`Controller name not specified.`);
+    });
+
+    it('throws for not defining a controller method when strict mode is enabled.', function* () {
+      const spec = koaspec('test/data/no_controller_method.yaml', OPTIONS_TEST);
+
+      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' method name not specified.`);
+    });
+
+    it('uses strict mode by default.', function* () {
+      const options = _.cloneDeep(OPTIONS_TEST);
+      delete options.routerOptions.strictMode;
+
+      const spec = koaspec('test/data/unknown_controller_method.yaml', options);
+      expect(spec.router.bind(spec)).to.throw(`Controller 'IndexController' does not have a method 'getNotImplemented'.`);
+    });
+
+    it('provides fallback for not implemented routes (unknown controller) when strict mode is disabled.', function* () {
+      const app = koa();
+
+      const options = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          strictMode : false
+        }
+      });
+      const spec = koaspec('test/data/unknown_controller.yaml', options);
+
+      const router = spec.router();
+      app.use(router.routes());
+
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/')
+        .expect(HTTPStatus.NOT_IMPLEMENTED);
+
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.ROUTE_NOT_IMPLEMENTED
+      };
+      expect(actual).to.containSubset(expected);
+    });
+
+    it('provides fallback for not implemented routes (unknown controller method) when strict mode is disabled.', function* () {
+      const app = koa();
+
+      const options = _.merge({}, OPTIONS_TEST, {
+        routerOptions : {
+          strictMode : false
+        }
+      });
+      const spec = koaspec('test/data/unknown_controller_method.yaml', options);
+
+      const router = spec.router();
+      app.use(router.routes());
+
+      const res = yield supertest(http.createServer(app.callback()))
+        .get('/')
+        .expect(HTTPStatus.NOT_IMPLEMENTED);
+
+      const actual = res.body;
+      const expected = {
+        code : ERROR_CODES.ROUTE_NOT_IMPLEMENTED
+      };
+      expect(actual).to.containSubset(expected);
+    });
+
+    it('ignores unknown routes.', function* () {
+      const app = koa();
+
+      const spec = koaspec('test/data/simple.yaml', OPTIONS_TEST);
+
+      const router = spec.router();
+      app.use(router.routes());
+
+      yield supertest(http.createServer(app.callback()))
+        .get('/unknown')
+        .expect(HTTPStatus.NOT_FOUND);
+    });
+
+    describe('parameter', function () {
+      describe('header', function () {
+        it('supports integer (int32) header parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/header_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .set('X-Item-Id', 1)
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 1
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('matches header parameter names case-insensitively.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/header_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .set('x-item-id', 1)
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 1
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('keeps the raw header values untouched.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/header_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .set('X-Item-Id', '01')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id  : 1,
+            raw : '01'
+          };
+          expect(actual).to.deep.equal(expected);
+        });
+      });
+
+      describe('path', function () {
+        it('supports a single path parameter.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/path_parameter_integer_int32_single.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items/1')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 1
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports multiple path parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/path_parameter_integer_int32_multiple.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items/1/2/3')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            a : 1,
+            b : 2,
+            c : 3
+          };
+          expect(actual).to.containSubset(expected);
+        });
+      });
+
+      describe('query', function () {
+        it('supports boolean query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_boolean.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : true
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : true
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports integer (int32) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : 1
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 1
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports integer (int64) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : Number.MAX_SAFE_INTEGER
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : Number.MAX_SAFE_INTEGER
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports number (float) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : 3.14159
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 3.14159
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports number (double) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_number_double.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : Number.MAX_VALUE
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : Number.MAX_VALUE
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports csv array query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              ids : '1,2,3'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            ids : [1, 2, 3]
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports ssv array query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              names : 'a b'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            names : ['a', 'b']
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports tsv array query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              tabs : 'a\tb'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            tabs : ['a', 'b']
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports pipes array query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              pipes : 'a|b'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            pipes : ['a', 'b']
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports multi array query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query('id=1&id=2')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : [1, 2]
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports a single multi array query parameter.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query('id=1')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : [1]
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('applies the default value of a missing query parameter.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_default.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            limit : 20
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('does not apply the default value of a passed query parameter.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_default.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              limit : 5
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            limit : 5
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('does not apply default values when disabled.', function* () {
+          const app = koa();
+
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              applyDefaults : false
+            }
+          });
+          const spec = koaspec('test/data/query_parameter_default.yaml', options);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .expect(HTTPStatus.OK);
+
+          expect(res.body).to.not.have.property('limit');
+        });
+
+        it('supports string (date-time) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_string_datetime.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const date = new Date();
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/citizens')
+            .query({
+              date_of_birth : date.toISOString()
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            date_of_birth : date.toISOString()
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports string (uuid) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_string_uuid.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 'F6751F9E-0E2A-4788-BB97-46BD0E2DF224'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports string (isbn) query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_string_isbn.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/books')
+            .query({
+              isbn : '978-1-84951-899-4'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            isbn : '978-1-84951-899-4'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports built-in string format query parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              date     : '2016-02-29',
+              byte     : 'a29hLXNwZWM=',
+              binary   : 'ÿØÿà',
+              password : 'secret',
+              email    : 'nico@luxe.com',
+              uri      : 'https://github.com/luxe-eng/koa-spec',
+              hostname : 'luxe.com',
+              ipv4     : '127.0.0.1',
+              ipv6     : '::1'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            date     : '2016-02-29T00:00:00.000Z',
+            byte     : {
+              type : 'Buffer',
+              data : [107, 111, 97, 45, 115, 112, 101, 99]
+            },
+            binary   : 'ÿØÿà',
+            password : 'secret',
+            email    : 'nico@luxe.com',
+            uri      : 'https://github.com/luxe-eng/koa-spec',
+            hostname : 'luxe.com',
+            ipv4     : '127.0.0.1',
+            ipv6     : '::1'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('validates dates against date response schemas as dates (not date-times).', function* () {
+          const app = koa();
+
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              responseValidation : 'throw'
+            }
+          });
+          const spec = koaspec('test/data/query_parameter_string_formats.yaml', options);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              date : '2016-02-29'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            date : '2016-02-29T00:00:00.000Z'
+          };
+          expect(actual).to.deep.equal(expected);
+        });
+      });
+
+      describe('body', function () {
+        describe('dependencies', function () {
+          before(function () {
+            mockery.enable();
+            mockery.warnOnUnregistered(false);
+            mockery.registerMock('koa-bodyparser', null);
+          });
+
+          it('throws when koa-bodyparser is not available and a body parameter is defined.', function* () {
+            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+
+            expect(spec.router.bind(spec)).to.throw(`koa-bodyparser`);
+          });
+
+          after(function () {
+            mockery.deregisterMock('koa-bodyparser');
+            mockery.disable();
+          });
+        });
+
+        it('supports simple object body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books')
+            .send({
+              isbn : '978-1-84951-899-4'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = {
+            id   : 1,
+            isbn : '978-1-84951-899-4'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports complex object body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_nested_object.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books')
+            .send({
+              isbn      : '978-1-84951-899-4',
+              publisher : {
+                name : 'Packt Publishing'
+              }
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = {
+            id        : 1,
+            isbn      : '978-1-84951-899-4',
+            publisher : {
+              name : 'Packt Publishing'
+            }
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports circular object body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_circular_object.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/persons')
+            .send({
+              id     : 1,
+              name   : 'Child',
+              father : {
+                id     : 2,
+                name   : 'Father',
+                mother : {
+                  id   : 3,
+                  name : 'Grandmother'
+                }
+              }
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = {
+            id     : 1,
+            name   : 'Child',
+            father : {
+              id     : 2,
+              name   : 'Father',
+              mother : {
+                id   : 3,
+                name : 'Grandmother'
+              }
+            }
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('applies the default value of a missing object body parameter property.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_property_default.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/people')
+            .send({
+              name : 'Jane'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            name   : 'Jane',
+            active : true
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('strips unknown properties of object body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/people')
+            .send({
+              name     : 'Jane',
+              nickname : 'J'
+            })
+            .expect(HTTPStatus.OK);
+
+          expect(res.body).to.eql({
+            name : 'Jane'
+          });
+        });
+
+        it('keeps additional properties of object body parameters allowing them.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/people/open')
+            .send({
+              name     : 'Jane',
+              nickname : 'J'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            name     : 'Jane',
+            nickname : 'J'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports empty object (additionalProperties false) body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const request = supertest(http.createServer(app.callback()));
+
+          const res = yield request
+            .post('/empty')
+            .send({})
+            .expect(HTTPStatus.OK);
+
+          expect(res.body).to.eql({});
+
+          yield request
+            .post('/empty')
+            .send({
+              name : 'Jane'
+            })
+            .expect(HTTPStatus.BAD_REQUEST);
+        });
+
+        it('supports map (additionalProperties schema) body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/stock')
+            .send({
+              apples  : 1,
+              bananas : 2
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            apples  : 1,
+            bananas : 2
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports object body parameters composed via allOf.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_allof.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/cats')
+            .send({
+              name         : 'Tom',
+              petType      : 'Cat',
+              huntingSkill : 'lazy'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            name         : 'Tom',
+            petType      : 'Cat',
+            huntingSkill : 'lazy'
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports polymorphic object body parameters via discriminator.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_allof.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/pets')
+            .send({
+              name     : 'Rex',
+              petType  : 'Dog',
+              packSize : 3
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            name     : 'Rex',
+            petType  : 'Dog',
+            packSize : 3
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports simple array body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books/many')
+            .send([
+              {
+                isbn : '978-1-84951-899-4'
+              },
+              {
+                isbn : '978-1-78398-596-8'
+              }
+            ])
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = [
+            {
+              id   : 1,
+              isbn : '978-1-84951-899-4'
+            },
+            {
+              id   : 2,
+              isbn : '978-1-78398-596-8'
+            }
+          ];
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports complex array body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_array_nested_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books/many')
+            .send([
+              {
+                isbn    : '978-1-84951-899-4',
+                authors : [
+                  {
+                    first_name : 'Jayme',
+                    last_name  : 'Schroeder'
+                  },
+                  {
+                    first_name : 'Brian',
+                    last_name  : 'Boyles'
+                  }
+                ]
+              },
+              {
+                isbn    : '978-1-78398-596-8',
+                authors : [
+                  {
+                    first_name : 'Maya',
+                    last_name  : 'Posch'
+                  }
+                ]
+              }
+            ])
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = [{
+            id      : 1,
+            isbn    : '978-1-84951-899-4',
+            authors : [
+              {
+                first_name : 'Jayme',
+                last_name  : 'Schroeder'
+              },
+              {
+                first_name : 'Brian',
+                last_name  : 'Boyles'
+              }
+            ]
+          },
+            {
+              id      : 2,
+              isbn    : '978-1-78398-596-8',
+              authors : [
+                {
+                  first_name : 'Maya',
+                  last_name  : 'Posch'
+                }
+              ]
+            }
+          ];
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports circular array body parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_array_circular_array.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/persons')
+            .send({
+              id        : 1,
+              name      : 'Child',
+              relatives : [
+                {
+                  id        : 2,
+                  name      : 'Father',
+                  relatives : [
+                    {
+                      id   : 3,
+                      name : 'Grandmother'
+                    }
+                  ]
+                }
+              ]
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = {
+            id        : 1,
+            name      : 'Child',
+            relatives : [
+              {
+                id        : 2,
+                name      : 'Father',
+                relatives : [
+                  {
+                    id   : 3,
+                    name : 'Grandmother'
+                  }
+                ]
+              }
+            ]
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports arrays with primitive (non-object) items.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/body_parameter_object_nested_array_string.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books')
+            .send({
+              isbn    : '978-1-84951-899-4',
+              authors : [
+                'Jayme, Schroeder',
+                'Brian Boyles'
+              ]
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+
+          const expected = {
+            id        : 1,
+            isbn      : '978-1-84951-899-4',
+            authors : [
+              'Jayme, Schroeder',
+              'Brian Boyles'
+            ]
+          };
+          expect(actual).to.containSubset(expected);
+        });
+      });
+
+      describe('formData', function () {
+        describe('dependencies', function () {
+          before(function () {
+            mockery.enable();
+            mockery.warnOnUnregistered(false);
+            mockery.registerMock('koa-bodyparser', null);
+            mockery.registerMock('formidable', null);
+          });
+
+          it('throws when koa-bodyparser is not available and a formData parameter is defined.', function* () {
+            const spec = koaspec('test/data/formdata_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            expect(spec.router.bind(spec)).to.throw(`koa-bodyparser`);
+          });
+
+          it('throws when formidable is not available and a file parameter is defined.', function* () {
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
+
+            expect(spec.router.bind(spec)).to.throw(`formidable`);
+          });
+
+          it('throws when formidable is not installed and a file parameter is defined.', function* () {
+            mockery.deregisterMock('formidable');
+            mockery.registerSubstitute('formidable', 'formidable-not-installed');
+
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
+
+            expect(spec.router.bind(spec)).to.throw(`module 'formidable@2' isn't available`);
+
+            mockery.deregisterSubstitute('formidable');
+          });
+
+          it('throws when formidable 1 is installed and a file parameter is defined.', function* () {
+            mockery.deregisterMock('formidable');
+            mockery.registerMock('formidable', {IncomingForm : function () {}});
+
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
+
+            expect(spec.router.bind(spec)).to.throw(`module 'formidable@2' isn't available`);
+          });
+
+          after(function () {
+            mockery.deregisterMock('koa-bodyparser');
+            mockery.deregisterMock('formidable');
+            mockery.disable();
+          });
+        });
+
+        it('supports integer (int32) form parameters.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/formdata_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/items')
+            .type('form')
+            .send({
+              id : 1
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            id : 1
+          };
+          expect(actual).to.containSubset(expected);
+        });
+
+        it('supports file form parameters along with other form parameters.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/documents')
+            .field('title', 'README')
+            .attach('file', Buffer.from('koa-spec'), 'README.txt')
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            title : 'README',
+            file  : {
+              name : 'README.txt',
+              type : 'text/plain',
+              size : 8
+            }
+          };
+          expect(actual).to.containSubset(expected);
+          expect(actual.file.path).to.be.a('string');
+        });
+
+        it('removes uploaded files after the request.', function* () {
+          const app = koa();
+
+          const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/documents')
+            .field('title', 'README')
+            .attach('file', Buffer.from('koa-spec'), 'README.txt')
+            .expect(HTTPStatus.OK);
+
+          /* Files are removed asynchronously: */
+          yield new Promise(resolve => setTimeout(resolve, 50));
+          expect(fs.existsSync(res.body.file.path)).to.be.false;
+        });
+
+        it('throws for file parameters not defined as form parameters.', function* () {
+          const options = _.merge({}, OPTIONS_TEST, {
+            validateSpec : false
+          });
+          const spec = koaspec('test/data/invalid_query_parameter_file.yaml', options);
+
+          expect(spec.router.bind(spec)).to.throw(`Files can only be uploaded as 'formData'.`);
+        });
+      });
+    });
+
+    describe('produces', function () {
+      it('provides the negotiated media type.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/produces.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          produces : 'application/json'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('detects a not acceptable media type.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/produces.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/')
+          .set('Accept', 'text/html')
+          .expect(HTTPStatus.NOT_ACCEPTABLE);
+
+        const actual = res.body;
+        const expected = {
+          code     : ERROR_CODES.VALIDATION_PRODUCES,
+          produces : {
+            expected : ['application/json; charset=utf-8'],
+            actual   : 'text/html'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('uses the operation produces over the global one.', function* () {
+        const app = koa();
+
+        const spec = koaspec('test/data/produces.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .get('/csv')
+          .set('Accept', 'application/json')
+          .expect(HTTPStatus.NOT_ACCEPTABLE);
+      });
+
+      it('detects a response content type that is not produced.', function* () {
+        const app = koa();
+
+        const options = _.merge({}, OPTIONS_TEST, {
+          routerOptions : {
+            responseValidation : 'throw'
+          }
+        });
+        const spec = koaspec('test/data/produces.yaml', options);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .get('/csv')
+          .set('Accept', 'text/csv')
+          .expect(HTTPStatus.INTERNAL_SERVER_ERROR);
+
+        const actual = res.body;
+        const expected = {
+          code     : ERROR_CODES.VALIDATION_PRODUCES,
+          response : {
+            actual : 'application/json'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+    });
+
+    describe('consumes', function () {
+      it('allows a consumed media type.', function* () {
+        const bodyParser = require('koa-bodyparser');
+        const app = koa();
+
+        app.use(bodyParser());
+
+        const spec = koaspec('test/data/consumes.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .post('/books')
+          .send({
+            isbn : '978-1-84951-899-4'
+          })
+          .expect(HTTPStatus.OK);
+
+        const actual = res.body;
+        const expected = {
+          isbn : '978-1-84951-899-4'
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('detects an unsupported media type.', function* () {
+        const bodyParser = require('koa-bodyparser');
+        const app = koa();
+
+        app.use(bodyParser());
+
+        const spec = koaspec('test/data/consumes.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        const res = yield supertest(http.createServer(app.callback()))
+          .post('/books')
+          .type('form')
+          .send({
+            isbn : '978-1-84951-899-4'
+          })
+          .expect(HTTPStatus.UNSUPPORTED_MEDIA_TYPE);
+
+        const actual = res.body;
+        const expected = {
+          code     : ERROR_CODES.VALIDATION_CONSUMES,
+          consumes : {
+            expected : ['application/json'],
+            actual   : 'application/x-www-form-urlencoded'
+          }
+        };
+        expect(actual).to.containSubset(expected);
+      });
+
+      it('uses the operation consumes over the global one.', function* () {
+        const bodyParser = require('koa-bodyparser');
+        const app = koa();
+
+        app.use(bodyParser());
+
+        const spec = koaspec('test/data/consumes.yaml', OPTIONS_TEST);
+
+        const router = spec.router();
+        app.use(router.routes());
+
+        yield supertest(http.createServer(app.callback()))
+          .post('/items')
+          .send({
+            id : 1
+          })
+          .expect(HTTPStatus.UNSUPPORTED_MEDIA_TYPE);
+      });
+    });
+
+    describe('validation', function () {
+      describe('parameter', function () {
+        describe('header', function () {
+          it('detects a missing required header parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/header_parameter_integer_int32_required.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_REQUIRED
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid integer header parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/header_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .set('X-Item-Id', 'NotAnIntegerButAString')
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+        });
+
+        describe.skip('path', function () {
+          // TODO ....
+        });
+
+        describe('query', function () {
+          it('detects a missing required query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32_required.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({})
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_REQUIRED
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('allows passing a required query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32_required.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 1
+              })
+              .expect(HTTPStatus.OK);
+
+            const actual = res.body;
+            const expected = {
+              id : 1
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('allows missing a non required query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({})
+              .expect(HTTPStatus.OK);
+
+            const actual = res.body;
+            const expected = {};
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid query parameter type.', function* () {
+            const app = koa();
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              validateSpec : false
+            });
+            const spec = koaspec('test/data/invalid_query_parameter_type.yaml', options);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid integer query parameter format.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/invalid_query_parameter_format_integer_int96.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string query parameter format.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/invalid_query_parameter_format_string_ssn.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/citizens')
+              .query({
+                ssn : '000-00-0000'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid number query parameter format.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/invalid_query_parameter_format_number_triple.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid query parameter source.', function* () {
+            const app = koa();
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              validateSpec : false
+            });
+            const spec = koaspec('test/data/invalid_query_parameter_source.yaml', options);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_SOURCE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid boolean query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_boolean.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 'NotAnProperBooleanString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid integer query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 'NotAnIntegerButAString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid integer query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 3.14159
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of upper bounds integer (int32) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 2147483647 + 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of lower bounds integer (int32) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : -2147483648 - 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of upper bounds integer (int64) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : Number.MAX_SAFE_INTEGER + 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of lower bounds integer (int64) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : Number.MIN_SAFE_INTEGER - 1
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid number query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 'NotANumberButAString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of upper bounds number (float) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 3.4028235E38 * 2
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an out of lower bounds number (float) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : -3.4028235E38 * 2
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (date-time) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_datetime.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/citizens')
+              .query({
+                date_of_birth : 'July 4th, 1987 10:00'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (uuid) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_uuid.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                id : 'NotAUUIDButARandomString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (isbn) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_isbn.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/books')
+              .query({
+                isbn : 'NotAISBNButARandomString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (date) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                date : '2016-02-30'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (byte) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                byte : 'NotBase64!'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (email) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                email : 'NotAnEmailButARandomString'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (uri) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                uri : '/not/an/absolute/uri'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (hostname) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                hostname : 'not_a_hostname'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (ipv4) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ipv4 : '256.0.0.1'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an invalid string (ipv6) query parameter.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_string_formats.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ipv6 : '127.0.0.1'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_FORMAT
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('allows a query parameter within its range.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_range.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                limit : 100,
+                price : 0.01
+              })
+              .expect(HTTPStatus.OK);
+
+            const actual = res.body;
+            const expected = {
+              limit : 100,
+              price : 0.01
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a query parameter below its minimum.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_range.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                limit : 0
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_RANGE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a query parameter above its maximum.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_range.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                limit : 105
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_RANGE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a query parameter equal to its exclusive minimum.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_range.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                price : 0
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_RANGE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a query parameter that is not a multiple of its multipleOf.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_range.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                limit : 42
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_RANGE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('allows query parameters satisfying their constraints.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                code   : 'ABC',
+                status : 'sold',
+                size   : 2
+              })
+              .expect(HTTPStatus.OK);
+
+            const actual = res.body;
+            const expected = {
+              code   : 'ABC',
+              status : 'sold',
+              size   : 2
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a string query parameter shorter than its minLength.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                code : 'A'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_MIN_LENGTH
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a string query parameter longer than its maxLength.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                code : 'ABCDE'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_MAX_LENGTH
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a string query parameter not matching its pattern.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                code : 'abc'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_PATTERN
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects a string query parameter not in its enum.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                status : 'unknown'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_ENUM
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('compares formatted string query parameters to their enum before converting them.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const request = supertest(http.createServer(app.callback()));
+
+            yield request
+              .get('/items')
+              .query({
+                since : '2016-01-01'
+              })
+              .expect(HTTPStatus.OK);
+
+            const res = yield request
+              .get('/items')
+              .query({
+                since : '2016-01-02'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_ENUM
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects an integer query parameter not in its enum.', function* () {
+            const app = koa();
+
+            const spec = koaspec('test/data/query_parameter_constraints.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
 
-          app.use(bodyParser());
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                size : 4
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
 
-          const spec = koaspec('test/data/body_parameter_object_nested_array_string.yaml', OPTIONS_TEST);
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_ENUM
+            };
+            expect(actual).to.containSubset(expected);
+          });
 
-          const router = spec.router();
-          app.use(router.routes());
+          it('detects an array query parameter with fewer items than its minItems.', function* () {
+            const app = koa();
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/books')
-            .send({
-              isbn    : '978-1-84951-899-4',
-              authors : [
-                'Jayme, Schroeder',
-                'Brian Boyles'
-              ]
-            })
-            .expect(HTTPStatus.OK);
+            const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
 
-          const actual = res.body;
+            const router = spec.router();
+            app.use(router.routes());
 
-          const expected = {
-            id        : 1,
-            isbn      : '978-1-84951-899-4',
-            authors : [
-              'Jayme, Schroeder',
-              'Brian Boyles'
-            ]
-          };
-          expect(actual).to.containSubset(expected);
-        });
-      });
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ids : ''
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
 
-      describe('formData', function () {
-        describe('dependencies', function () {
-          before(function () {
-            mockery.enable();
-            mockery.warnOnUnregistered(false);
-            mockery.registerMock('koa-bodyparser', null);
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_MIN_ITEMS
+            };
+            expect(actual).to.containSubset(expected);
           });
 
-          it('throws when koa-bodyparser is not available and a formData parameter is defined.', function* () {
-            const spec = koaspec('test/data/formdata_parameter_integer_int32.yaml', OPTIONS_TEST);
+          it('detects an array query parameter with more items than its maxItems.', function* () {
+            const app = koa();
 
-            expect(spec.router.bind(spec)).to.throw(`koa-bodyparser`);
-          });
+            const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
 
-          after(function () {
-            mockery.deregisterMock('koa-bodyparser');
-            mockery.disable();
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ids : '1,2,3,4'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_MAX_ITEMS
+            };
+            expect(actual).to.containSubset(expected);
           });
-        });
 
-        it('supports integer (int32) form parameters.', function* () {
-          const bodyParser = require('koa-bodyparser');
-          const app = koa();
+          it('detects an array query parameter with duplicate unique items.', function* () {
+            const app = koa();
 
-          app.use(bodyParser());
+            const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
 
-          const spec = koaspec('test/data/formdata_parameter_integer_int32.yaml', OPTIONS_TEST);
+            const router = spec.router();
+            app.use(router.routes());
 
-          const router = spec.router();
-          app.use(router.routes());
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ids : '1,1'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
 
-          const res = yield supertest(http.createServer(app.callback()))
-            .post('/items')
-            .type('form')
-            .send({
-              id : 1
-            })
-            .expect(HTTPStatus.OK);
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_UNIQUE
+            };
+            expect(actual).to.containSubset(expected);
+          });
 
-          const actual = res.body;
-          const expected = {
-            id : 1
-          };
-          expect(actual).to.containSubset(expected);
-        });
-      });
-    });
+          it('detects an invalid item in an array query parameter.', function* () {
+            const app = koa();
 
-    describe('validation', function () {
-      describe('parameter', function () {
-        describe.skip('header', function () {
-          // TODO ....
-        });
+            const spec = koaspec('test/data/query_parameter_array.yaml', OPTIONS_TEST);
 
-        describe.skip('path', function () {
-          // TODO ....
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .get('/items')
+              .query({
+                ids : '1,a'
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
         });
 
-        describe('query', function () {
-          it('detects a missing required query parameter.', function* () {
+        describe('body', function () {
+          it('detects an invalid object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32_required.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({})
+              .post('/books')
+              .send({
+                isbn : 7 // Should be a string!
+              })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_REQUIRED
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('allows passing a required query parameter.', function* () {
+          it('detects a missing schema in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32_required.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              validateSpec : false
+            });
+            const spec = koaspec('test/data/invalid_body_parameter_object_schema_missing.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 1
+              .post('/books')
+              .send({
+                isbn : 7 // Should be a string!
               })
-              .expect(HTTPStatus.OK);
+              .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              id : 1
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('allows missing a non required query parameter.', function* () {
+          it('detects a missing required parameter in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({})
-              .expect(HTTPStatus.OK);
+              .post('/books')
+              .send({})
+              .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
-            const expected = {};
+            const expected = {
+              code : ERROR_CODES.VALIDATION_REQUIRED
+            };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid query parameter type.', function* () {
+          it('detects a missing schema properties in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/invalid_query_parameter_type.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/invalid_body_parameter_object_properties_missing.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 1
+              .post('/books')
+              .send({
+                isbn : 7 // Should be a string!
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
@@ -943,150 +4312,240 @@ describe('koaspec', function () {
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid integer query parameter format.', function* () {
+          it('uses default behavior when passing null for a required body property.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/invalid_query_parameter_format_integer_int96.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_property_undefined_nullable.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 1
+              .post('/books')
+              .send({
+                isbn      : '978-1-84951-899-4',
+                publisher : null
+              })
+              .expect(HTTPStatus.BAD_REQUEST);
+
+            const actual = res.body;
+            const expected = {
+              code : ERROR_CODES.VALIDATION_TYPE
+            };
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('allows passing null for an x-nullable required body property.', function* () {
+            const bodyParser = require('koa-bodyparser');
+            const app = koa();
+
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_property_nullable.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .post('/books')
+              .send({
+                isbn      : '978-1-84951-899-4',
+                publisher : null
+              })
+              .expect(HTTPStatus.OK);
+
+            const actual = res.body;
+            const expected = {};
+            expect(actual).to.containSubset(expected);
+          });
+
+          it('detects passing null for an not x-nullable required body property.', function* () {
+            const bodyParser = require('koa-bodyparser');
+            const app = koa();
+
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_property_not_nullable.yaml', OPTIONS_TEST);
+
+            const router = spec.router();
+            app.use(router.routes());
+
+            const res = yield supertest(http.createServer(app.callback()))
+              .post('/books')
+              .send({
+                isbn      : '978-1-84951-899-4',
+                publisher : null
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_NULLABLE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid string query parameter format.', function* () {
+          it('detects a schema with an invalid type in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/invalid_query_parameter_format_string_ssn.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              validateSpec : false
+            });
+            const spec = koaspec('test/data/invalid_body_parameter_object_schema.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/citizens')
-              .query({
-                ssn : '000-00-0000'
+              .post('/books')
+              .send({
+                isbn : 7 // Should be a string!
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid number query parameter format.', function* () {
+          it('detects an invalid complex object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/invalid_query_parameter_format_number_triple.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_nested_array.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 1
+              .post('/books')
+              .send({
+                isbn    : '978-1-84951-899-4',
+                authors : [
+                  {
+                    first_name : 13, // Should be a string
+                    last_name  : 37 // Should be a string
+                  }
+                ]
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid query parameter source.', function* () {
+          it('detects an out of range nested property in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/invalid_query_parameter_source.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_range.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 1
+              .post('/orders')
+              .send({
+                item : {
+                  quantity : 11
+                }
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_SOURCE
+              code : ERROR_CODES.VALIDATION_RANGE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid boolean query parameter.', function* () {
+          it('detects an additional property in an object body parameter not allowing them.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_boolean.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 'NotAnProperBooleanString'
+              .post('/people/closed')
+              .send({
+                name     : 'Jane',
+                nickname : 'J'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              code : ERROR_CODES.VALIDATION_ADDITIONAL
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid integer query parameter.', function* () {
+          it('detects an unknown property in an object body parameter when rejecting unknown properties.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                rejectUnknownProperties : true
+              }
+            });
+            const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 'NotAnIntegerButAString'
+              .post('/people')
+              .send({
+                name     : 'Jane',
+                nickname : 'J'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              code : ERROR_CODES.VALIDATION_ADDITIONAL
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid integer query parameter.', function* () {
+          it('detects an invalid value in a map (additionalProperties schema) body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_additional_properties.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 3.14159
+              .post('/stock')
+              .send({
+                apples : 'many'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
@@ -1097,107 +4556,128 @@ describe('koaspec', function () {
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an out of upper bounds integer (int32) query parameter.', function* () {
+          it('detects a missing required property of an allOf member in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_allof.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 2147483647 + 1
+              .post('/cats')
+              .send({
+                petType      : 'Cat',
+                huntingSkill : 'lazy'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_REQUIRED
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an out of lower bounds integer (int32) query parameter.', function* () {
+          it('detects an invalid property of a discriminated object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int32.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_allof.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : -2147483648 - 1
+              .post('/pets')
+              .send({
+                name     : 'Rex',
+                petType  : 'Dog',
+                packSize : -1
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_RANGE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an out of upper bounds integer (int64) query parameter.', function* () {
+          it('detects an unknown discriminator value in an object body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_object_allof.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : Number.MAX_SAFE_INTEGER + 1
+              .post('/pets')
+              .send({
+                name    : 'Rex',
+                petType : 'Order'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an out of lower bounds integer (int64) query parameter.', function* () {
+          it('detects an invalid array body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_integer_int64.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/body_parameter_array.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : Number.MIN_SAFE_INTEGER - 1
+              .post('/books/many')
+              .send({ // Not an array
+                isbn : '978-1-84951-899-4'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid number query parameter.', function* () {
+          it('detects missing items in an array body parameter.', function* () {
+            const bodyParser = require('koa-bodyparser');
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+            app.use(bodyParser());
+
+            const spec = koaspec('test/data/invalid_body_parameter_array_items_missing.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 'NotANumberButAString'
-              })
+              .post('/books/many')
+              .send([
+                {
+                  isbn : '978-1-84951-899-4'
+                }
+              ])
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
@@ -1206,308 +4686,481 @@ describe('koaspec', function () {
             };
             expect(actual).to.containSubset(expected);
           });
+        });
 
-          it('detects an out of upper bounds number (float) query parameter.', function* () {
+        describe('formData', function () {
+          it('detects a missing required file form parameter.', function* () {
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 3.4028235E38 * 2
-              })
+              .post('/documents')
+              .field('title', 'README')
+              .field('file', 'NotAFile')
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code      : ERROR_CODES.VALIDATION_REQUIRED,
+              parameter : {
+                expected : {
+                  name : 'file'
+                }
+              }
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an out of lower bounds number (float) query parameter.', function* () {
+          it('detects a missing required form parameter along with a file form parameter.', function* () {
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_number_float.yaml', OPTIONS_TEST);
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : -3.4028235E38 * 2
-              })
+              .post('/documents')
+              .attach('file', Buffer.from('koa-spec'), 'README.txt')
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code      : ERROR_CODES.VALIDATION_REQUIRED,
+              parameter : {
+                expected : {
+                  name : 'title'
+                }
+              }
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid string (date-time) query parameter.', function* () {
+          it('detects a file form parameter larger than x-max-size.', function* () {
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_string_datetime.yaml', OPTIONS_TEST);
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/citizens')
-              .query({
-                date_of_birth : 'July 4th, 1987 10:00'
-              })
+              .post('/documents')
+              .field('title', 'README')
+              .attach('file', Buffer.from('koa-spec, koa-spec, koa-spec'), 'README.txt')
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_FILE_SIZE
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects an invalid string (uuid) query parameter.', function* () {
+          it('detects a file form parameter not matching x-mime-types.', function* () {
             const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_string_uuid.yaml', OPTIONS_TEST);
+            const spec = koaspec('test/data/formdata_parameter_file.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .get('/items')
-              .query({
-                id : 'NotAUUIDButARandomString'
-              })
+              .post('/documents')
+              .field('title', 'README')
+              .attach('file', Buffer.from('koa-spec'), 'README.png')
               .expect(HTTPStatus.BAD_REQUEST);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
+              code : ERROR_CODES.VALIDATION_FILE_TYPE
             };
             expect(actual).to.containSubset(expected);
           });
+        });
+      });
+
+      describe('errors', function () {
+        it('responds with the first error by default.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const spec = koaspec('test/data/collect_errors.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books')
+            .query({
+              limit : 'NotAnIntegerButAString'
+            })
+            .send({
+              isbn    : 7,
+              authors : [{}]
+            })
+            .expect(HTTPStatus.BAD_REQUEST);
+
+          const actual = res.body;
+          const expected = {
+            code      : ERROR_CODES.VALIDATION_TYPE,
+            parameter : {
+              actual : 'NotAnIntegerButAString'
+            }
+          };
+          expect(actual).to.containSubset(expected);
+          expect(actual).to.not.have.property('errors');
+        });
+
+        it('collects all errors when asked to.', function* () {
+          const bodyParser = require('koa-bodyparser');
+          const app = koa();
+
+          app.use(bodyParser());
+
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              collectErrors : true
+            }
+          });
+          const spec = koaspec('test/data/collect_errors.yaml', options);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .post('/books')
+            .query({
+              limit : 'NotAnIntegerButAString'
+            })
+            .send({
+              isbn    : 7,
+              authors : [{}]
+            })
+            .expect(HTTPStatus.BAD_REQUEST);
+
+          const actual = res.body;
+          const expected = {
+            code   : ERROR_CODES.VALIDATION_MULTIPLE,
+            errors : [
+              {
+                code : ERROR_CODES.VALIDATION_TYPE,
+                in   : 'query',
+                path : 'limit'
+              },
+              {
+                code : ERROR_CODES.VALIDATION_TYPE,
+                in   : 'body',
+                path : 'book.isbn'
+              },
+              {
+                code : ERROR_CODES.VALIDATION_REQUIRED,
+                in   : 'body',
+                path : 'book.authors[0].name'
+              }
+            ]
+          };
+          expect(actual).to.containSubset(expected);
+          expect(actual.errors).to.have.length(3);
+        });
+      });
+
+      describe('formats', function () {
+        function validateSKU(value) {
+          if (!/^[a-z]{3}-[0-9]{4}$/i.test(value)) {
+            throw new Error(`Not a 'sku'.`);
+          }
+          return value.toUpperCase();
+        }
+
+        it('supports formats registered via registerFormat.', function* () {
+          const app = koa();
+
+          koaspec.registerFormat('string', 'sku', validateSKU);
+          const spec = koaspec('test/data/query_parameter_string_custom_format.yaml', OPTIONS_TEST);
+
+          const router = spec.router();
+          app.use(router.routes());
+
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              sku : 'abc-1234'
+            })
+            .expect(HTTPStatus.OK);
+
+          const actual = res.body;
+          const expected = {
+            sku : 'ABC-1234'
+          };
+          expect(actual).to.containSubset(expected);
+        });
 
-          it('detects an invalid string (isbn) query parameter.', function* () {
-            const app = koa();
+        it('detects values not matching formats registered via registerFormat.', function* () {
+          const app = koa();
 
-            const spec = koaspec('test/data/query_parameter_string_isbn.yaml', OPTIONS_TEST);
+          koaspec.registerFormat('string', 'sku', validateSKU);
+          const spec = koaspec('test/data/query_parameter_string_custom_format.yaml', OPTIONS_TEST);
 
-            const router = spec.router();
-            app.use(router.routes());
+          const router = spec.router();
+          app.use(router.routes());
 
-            const res = yield supertest(http.createServer(app.callback()))
-              .get('/books')
-              .query({
-                isbn : 'NotAISBNButARandomString'
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              sku : 'NotASKUButARandomString'
+            })
+            .expect(HTTPStatus.BAD_REQUEST);
 
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_FORMAT
-            };
-            expect(actual).to.containSubset(expected);
-          });
+          const actual = res.body;
+          const expected = {
+            code : ERROR_CODES.VALIDATION_FORMAT
+          };
+          expect(actual).to.containSubset(expected);
+          expect(actual.message).to.contain(`Not a 'sku'.`);
         });
 
-        describe('body', function () {
-          it('detects an invalid object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
-            const app = koa();
+        it('throws registering a format which is not a function.', function* () {
+          expect(koaspec.registerFormat.bind(koaspec, 'string', 'sku', 'NotAFunction')).to.throw(`Format 'string(sku)' must be a function.`);
+        });
 
-            app.use(bodyParser());
+        it('supports formats passed via router options.', function* () {
+          const app = koa();
 
-            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              formats : {
+                string : {
+                  ssn : function (value) {
+                    if (!/^[0-9]{3}-[0-9]{2}-[0-9]{4}$/.test(value)) {
+                      throw new Error(`Not a 'ssn'.`);
+                    }
+                  }
+                }
+              }
+            }
+          });
+          const spec = koaspec('test/data/invalid_query_parameter_format_string_ssn.yaml', options);
 
-            const router = spec.router();
-            app.use(router.routes());
+          const router = spec.router();
+          app.use(router.routes());
 
-            const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn : 7 // Should be a string!
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/citizens')
+            .query({
+              ssn : '000-00-0000'
+            })
+            .expect(HTTPStatus.OK);
 
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
-            };
-            expect(actual).to.containSubset(expected);
-          });
+          const actual = res.body;
+          const expected = {
+            ssn : '000-00-0000'
+          };
+          expect(actual).to.containSubset(expected);
+        });
 
-          it('detects a missing schema in an object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
-            const app = koa();
+        it('supports overriding built-in formats via router options.', function* () {
+          const app = koa();
 
-            app.use(bodyParser());
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              formats : {
+                string : {
+                  uuid : function (value) {
+                    return value.toLowerCase();
+                  }
+                }
+              }
+            }
+          });
+          const spec = koaspec('test/data/query_parameter_string_uuid.yaml', options);
 
-            const spec = koaspec('test/data/invalid_body_parameter_object_schema_missing.yaml', OPTIONS_TEST);
+          const router = spec.router();
+          app.use(router.routes());
 
-            const router = spec.router();
-            app.use(router.routes());
+          const res = yield supertest(http.createServer(app.callback()))
+            .get('/items')
+            .query({
+              id : 'NotAUUIDButARandomString'
+            })
+            .expect(HTTPStatus.OK);
 
-            const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn : 7 // Should be a string!
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+          const actual = res.body;
+          const expected = {
+            id : 'notauuidbutarandomstring'
+          };
+          expect(actual).to.containSubset(expected);
+        });
 
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
-            };
-            expect(actual).to.containSubset(expected);
+        it('throws for formats passed via router options which are not functions.', function* () {
+          const options = _.merge({}, OPTIONS_TEST, {
+            routerOptions : {
+              formats : {
+                string : {
+                  ssn : 'NotAFunction'
+                }
+              }
+            }
           });
+          const spec = koaspec('test/data/invalid_query_parameter_format_string_ssn.yaml', options);
 
-          it('detects a missing required parameter in an object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
-            const app = koa();
+          expect(spec.router).to.throw(`Format 'string(ssn)' must be a function.`);
+        });
+      });
 
-            app.use(bodyParser());
+      describe('response', function () {
+        describe('body', function () {
+          it('does not validate responses by default.', function* () {
+            const app = koa();
 
-            const spec = koaspec('test/data/body_parameter_object.yaml', OPTIONS_TEST);
+            const spec = koaspec('test/data/response_body_object.yaml', OPTIONS_TEST);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({})
-              .expect(HTTPStatus.BAD_REQUEST);
+              .get('/books/invalid')
+              .expect(HTTPStatus.OK);
 
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_REQUIRED
-            };
-            expect(actual).to.containSubset(expected);
+            expect(res.headers).to.not.have.property('warning');
           });
 
-          it('detects a missing schema properties in an object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
-            const app = koa();
+          it('throws for an unknown response validation.', function* () {
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'invalid'
+              }
+            });
 
-            app.use(bodyParser());
+            const spec = koaspec('test/data/response_body_object.yaml', options);
 
-            const spec = koaspec('test/data/invalid_body_parameter_object_properties_missing.yaml', OPTIONS_TEST);
+            expect(spec.router.bind(spec)).to.throw(`Unknown response validation 'invalid'.`);
+          });
+
+          it('allows a valid response body.', function* () {
+            const app = koa();
+
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_body_object.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn : 7 // Should be a string!
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+              .get('/books/valid')
+              .expect(HTTPStatus.OK);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              isbn : '978-1-84951-899-4'
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('uses default behavior when passing null for a required body property.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('responds with an error for an invalid response body when validation is set to throw.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/body_parameter_object_property_undefined_nullable.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_body_object.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn      : '978-1-84951-899-4',
-                publisher : null
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+              .get('/books/invalid')
+              .expect(HTTPStatus.INTERNAL_SERVER_ERROR);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              code     : ERROR_CODES.VALIDATION_TYPE,
+              response : {
+                actual : {
+                  isbn : 7
+                }
+              }
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('allows passing null for an x-nullable required body property.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('attaches a warning header for an invalid response body when validation is set to header.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/body_parameter_object_property_nullable.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'header'
+              }
+            });
+            const spec = koaspec('test/data/response_body_object.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn      : '978-1-84951-899-4',
-                publisher : null
-              })
+              .get('/books/invalid')
               .expect(HTTPStatus.OK);
 
-            const actual = res.body;
-            const expected = {};
-            expect(actual).to.containSubset(expected);
+            expect(res.headers['warning']).to.contain(`Name: 'isbn'.`);
           });
 
-          it('detects passing null for an not x-nullable required body property.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('logs an invalid response body when validation is set to log.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/body_parameter_object_property_not_nullable.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'log'
+              }
+            });
+            const spec = koaspec('test/data/response_body_object.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
-            const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn      : '978-1-84951-899-4',
-                publisher : null
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+            const warn = console.warn;
+            const messages = [];
+            console.warn = message => messages.push(message);
+            try {
+              yield supertest(http.createServer(app.callback()))
+                .get('/books/invalid')
+                .expect(HTTPStatus.OK);
+            } finally {
+              console.warn = warn;
+            }
 
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_NULLABLE
-            };
-            expect(actual).to.containSubset(expected);
+            expect(messages).to.have.length(1);
+            expect(messages[0]).to.contain(`Name: 'isbn'.`);
           });
 
-          it('detects a schema with an invalid type in an object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('does not validate the responses of invalid requests against the default response.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/invalid_body_parameter_object_schema.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_default_error.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn : 7 // Should be a string!
+              .get('/items')
+              .query({
+                id : 'abc'
               })
               .expect(HTTPStatus.BAD_REQUEST);
 
@@ -1517,86 +5170,79 @@ describe('koaspec', function () {
             };
             expect(actual).to.containSubset(expected);
           });
+        });
 
-          it('detects an invalid complex object body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
+        describe('header', function () {
+          it('allows a valid response header.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/body_parameter_object_nested_array.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_header_integer_int32.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
-            const res = yield supertest(http.createServer(app.callback()))
-              .post('/books')
-              .send({
-                isbn    : '978-1-84951-899-4',
-                authors : [
-                  {
-                    first_name : 13, // Should be a string
-                    last_name  : 37 // Should be a string
-                  }
-                ]
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
-
-            const actual = res.body;
-            const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
-            };
-            expect(actual).to.containSubset(expected);
+            yield supertest(http.createServer(app.callback()))
+              .get('/items/valid')
+              .expect('X-Rate-Limit-Remaining', '42')
+              .expect(HTTPStatus.OK);
           });
 
-          it('detects an invalid array body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('detects an invalid response header.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/body_parameter_array.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_header_integer_int32.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books/many')
-              .send({ // Not an array
-                isbn : '978-1-84951-899-4'
-              })
-              .expect(HTTPStatus.BAD_REQUEST);
+              .get('/items/invalid')
+              .expect(HTTPStatus.INTERNAL_SERVER_ERROR);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              code     : ERROR_CODES.VALIDATION_TYPE,
+              response : {
+                header : 'X-Rate-Limit-Remaining',
+                actual : 'NotAnIntegerButAString'
+              }
             };
             expect(actual).to.containSubset(expected);
           });
 
-          it('detects missing items in an array body parameter.', function* () {
-            const bodyParser = require('koa-bodyparser');
+          it('detects a missing response header.', function* () {
             const app = koa();
 
-            app.use(bodyParser());
-
-            const spec = koaspec('test/data/invalid_body_parameter_array_items_missing.yaml', OPTIONS_TEST);
+            const options = _.merge({}, OPTIONS_TEST, {
+              routerOptions : {
+                responseValidation : 'throw'
+              }
+            });
+            const spec = koaspec('test/data/response_header_integer_int32.yaml', options);
 
             const router = spec.router();
             app.use(router.routes());
 
             const res = yield supertest(http.createServer(app.callback()))
-              .post('/books/many')
-              .send([
-                {
-                  isbn : '978-1-84951-899-4'
-                }
-              ])
-              .expect(HTTPStatus.BAD_REQUEST);
+              .get('/items/missing')
+              .expect(HTTPStatus.INTERNAL_SERVER_ERROR);
 
             const actual = res.body;
             const expected = {
-              code : ERROR_CODES.VALIDATION_TYPE
+              code     : ERROR_CODES.VALIDATION_REQUIRED,
+              response : {
+                header : 'X-Rate-Limit-Remaining'
+              }
             };
             expect(actual).to.containSubset(expected);
           });